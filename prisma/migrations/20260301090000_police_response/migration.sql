@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "incidents" ADD COLUMN     "responseStatus" TEXT NOT NULL DEFAULT 'PENDING';
+
+-- CreateTable
+CREATE TABLE "incident_response_updates" (
+    "id" TEXT NOT NULL,
+    "incidentId" TEXT NOT NULL,
+    "officerId" TEXT NOT NULL,
+    "policeStationId" TEXT NOT NULL,
+    "fromStatus" TEXT NOT NULL,
+    "toStatus" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "incident_response_updates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "incidents_policeStationId_responseStatus_idx" ON "incidents"("policeStationId", "responseStatus");
+
+-- CreateIndex
+CREATE INDEX "incident_response_updates_incidentId_createdAt_idx" ON "incident_response_updates"("incidentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "incident_response_updates" ADD CONSTRAINT "incident_response_updates_incidentId_fkey" FOREIGN KEY ("incidentId") REFERENCES "incidents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "incident_response_updates" ADD CONSTRAINT "incident_response_updates_officerId_fkey" FOREIGN KEY ("officerId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
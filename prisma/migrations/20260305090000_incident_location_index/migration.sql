@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "incidents_latitude_longitude_idx" ON "incidents"("latitude", "longitude");
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "otp_codes" (
+    "email" TEXT NOT NULL,
+    "otpHash" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "otp_codes_pkey" PRIMARY KEY ("email")
+);
+
+-- CreateTable
+CREATE TABLE "otp_rate_limits" (
+    "email" TEXT NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+    "resetAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "otp_rate_limits_pkey" PRIMARY KEY ("email")
+);
+
+-- CreateIndex
+CREATE INDEX "otp_codes_expiresAt_idx" ON "otp_codes"("expiresAt");
+
+-- CreateIndex
+CREATE INDEX "otp_rate_limits_resetAt_idx" ON "otp_rate_limits"("resetAt");
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "refresh_tokens" ADD COLUMN     "deviceName" TEXT,
+ADD COLUMN     "familyId" TEXT,
+ADD COLUMN     "ipAddress" TEXT,
+ADD COLUMN     "revokedAt" TIMESTAMP(3),
+ADD COLUMN     "userAgent" TEXT;
+
+-- Existing tokens each become their own session
+UPDATE "refresh_tokens" SET "familyId" = "id" WHERE "familyId" IS NULL;
+
+ALTER TABLE "refresh_tokens" ALTER COLUMN "familyId" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_userId_idx" ON "refresh_tokens"("userId");
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_familyId_idx" ON "refresh_tokens"("familyId");
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "incident_status_changes" (
+    "id" TEXT NOT NULL,
+    "incidentId" TEXT NOT NULL,
+    "actorId" TEXT,
+    "actorRole" TEXT,
+    "fromStatus" TEXT,
+    "toStatus" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "incident_status_changes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "incident_status_changes_incidentId_createdAt_idx" ON "incident_status_changes"("incidentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "incident_status_changes" ADD CONSTRAINT "incident_status_changes_incidentId_fkey" FOREIGN KEY ("incidentId") REFERENCES "incidents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "incident_status_changes" ADD CONSTRAINT "incident_status_changes_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: initial submission of existing incidents
+INSERT INTO "incident_status_changes" ("id", "incidentId", "actorId", "actorRole", "fromStatus", "toStatus", "createdAt")
+SELECT gen_random_uuid()::text, "id", "publisherId", "publisherBadge", NULL, 'SUBMITTED', "createdAt"
+FROM "incidents";
+
+-- Backfill: last moderation decision of existing incidents
+INSERT INTO "incident_status_changes" ("id", "incidentId", "actorId", "actorRole", "fromStatus", "toStatus", "note", "createdAt")
+SELECT gen_random_uuid()::text, i."id", u."id", u."role", 'SUBMITTED', i."status", i."verificationNote", i."verifiedAt"
+FROM "incidents" i
+LEFT JOIN "users" u ON u."id" = i."verifiedBy"
+WHERE i."verifiedAt" IS NOT NULL AND i."status" <> 'SUBMITTED';
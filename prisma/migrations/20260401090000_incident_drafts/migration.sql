@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "incidents" ALTER COLUMN "title" DROP NOT NULL,
+ALTER COLUMN "description" DROP NOT NULL,
+ALTER COLUMN "category" DROP NOT NULL;
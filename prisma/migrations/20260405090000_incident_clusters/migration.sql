@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "incidents" ADD COLUMN     "clusterId" TEXT,
+ADD COLUMN     "duplicateScore" DOUBLE PRECISION,
+ADD COLUMN     "isClusterPrimary" BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE "incident_clusters" (
+    "id" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "latitude" DOUBLE PRECISION NOT NULL,
+    "longitude" DOUBLE PRECISION NOT NULL,
+    "firstReportedAt" TIMESTAMP(3) NOT NULL,
+    "lastReportedAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "incident_clusters_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "incidents_clusterId_idx" ON "incidents"("clusterId");
+
+-- AddForeignKey
+ALTER TABLE "incidents" ADD CONSTRAINT "incidents_clusterId_fkey" FOREIGN KEY ("clusterId") REFERENCES "incident_clusters"("id") ON DELETE SET NULL ON UPDATE CASCADE;
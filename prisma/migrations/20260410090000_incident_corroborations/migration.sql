@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "incidents" ADD COLUMN     "corroborationCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "corroborationScore" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "incident_corroborations" (
+    "id" TEXT NOT NULL,
+    "incidentId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "latitude" DOUBLE PRECISION NOT NULL,
+    "longitude" DOUBLE PRECISION NOT NULL,
+    "distance" DOUBLE PRECISION NOT NULL,
+    "credibility" INTEGER NOT NULL,
+    "mediaId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "incident_corroborations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "incident_corroborations_mediaId_key" ON "incident_corroborations"("mediaId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "incident_corroborations_incidentId_userId_key" ON "incident_corroborations"("incidentId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "incident_corroborations" ADD CONSTRAINT "incident_corroborations_incidentId_fkey" FOREIGN KEY ("incidentId") REFERENCES "incidents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "incident_corroborations" ADD CONSTRAINT "incident_corroborations_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "incident_corroborations" ADD CONSTRAINT "incident_corroborations_mediaId_fkey" FOREIGN KEY ("mediaId") REFERENCES "incident_media"("id") ON DELETE SET NULL ON UPDATE CASCADE;
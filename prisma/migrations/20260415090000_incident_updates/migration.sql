@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "reports" ADD COLUMN     "updateId" TEXT;
+
+-- CreateTable
+CREATE TABLE "incident_updates" (
+    "id" TEXT NOT NULL,
+    "incidentId" TEXT NOT NULL,
+    "authorId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "policeStationId" TEXT,
+    "message" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'VISIBLE',
+    "hiddenReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "incident_updates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "incident_updates_incidentId_status_createdAt_idx" ON "incident_updates"("incidentId", "status", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "reports" ADD CONSTRAINT "reports_updateId_fkey" FOREIGN KEY ("updateId") REFERENCES "incident_updates"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "incident_updates" ADD CONSTRAINT "incident_updates_incidentId_fkey" FOREIGN KEY ("incidentId") REFERENCES "incidents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "incident_updates" ADD CONSTRAINT "incident_updates_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "incident_media" ADD COLUMN     "processingError" TEXT,
+ADD COLUMN     "processingStatus" TEXT NOT NULL DEFAULT 'PENDING';
+
+-- CreateIndex
+CREATE INDEX "incident_media_processingStatus_idx" ON "incident_media"("processingStatus");
+
+-- Existing media was stored before processing existed
+UPDATE "incident_media" SET "processingStatus" = 'READY';
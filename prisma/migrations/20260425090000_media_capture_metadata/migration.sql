@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "incident_media" ALTER COLUMN "capturedAt" DROP NOT NULL,
+ALTER COLUMN "capturedAt" DROP DEFAULT;
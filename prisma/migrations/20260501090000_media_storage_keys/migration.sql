@@ -0,0 +1,3 @@
+-- Media columns now hold storage keys ("images/x.jpg"); URLs come from the active storage driver
+UPDATE "incident_media" SET "url" = substring("url" from 10) WHERE "url" LIKE '/uploads/%';
+UPDATE "incident_media" SET "thumbnail" = substring("thumbnail" from 10) WHERE "thumbnail" LIKE '/uploads/%';
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "private_files" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "ownerId" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "private_files_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "private_files_key_key" ON "private_files"("key");
+
+-- CreateIndex
+CREATE INDEX "private_files_ownerId_idx" ON "private_files"("ownerId");
+
+-- AddForeignKey
+ALTER TABLE "private_files" ADD CONSTRAINT "private_files_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: existing ID proofs were saved as public "/uploads/documents/..." URLs
+INSERT INTO "private_files" ("id", "key", "ownerId", "mimeType", "size")
+SELECT gen_random_uuid()::text, substring("idProofImage" from 10), "id", 'application/octet-stream', 0
+FROM "users"
+WHERE "idProofImage" LIKE '/uploads/documents/%';
+
+UPDATE "users" u SET "idProofImage" = f."id"
+FROM "private_files" f
+WHERE f."ownerId" = u."id" AND u."idProofImage" = '/uploads/' || f."key";
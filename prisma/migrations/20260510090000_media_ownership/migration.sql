@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "incident_media" ADD COLUMN     "uploaderId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "incident_media_incidentId_createdAt_idx" ON "incident_media"("incidentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "incident_media" ADD CONSTRAINT "incident_media_uploaderId_fkey" FOREIGN KEY ("uploaderId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: attached media was uploaded by the incident's publisher
+UPDATE "incident_media" m SET "uploaderId" = i."publisherId"
+FROM "incidents" i
+WHERE m."incidentId" = i."id";
+
+-- Corroboration photos were uploaded by the corroborating citizen
+UPDATE "incident_media" m SET "uploaderId" = c."userId"
+FROM "incident_corroborations" c
+WHERE c."mediaId" = m."id";
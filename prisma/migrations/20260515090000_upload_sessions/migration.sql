@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "upload_sessions" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "offset" INTEGER NOT NULL DEFAULT 0,
+    "chunks" TEXT[],
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "upload_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "upload_sessions_userId_idx" ON "upload_sessions"("userId");
+
+-- CreateIndex
+CREATE INDEX "upload_sessions_expiresAt_idx" ON "upload_sessions"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "upload_sessions" ADD CONSTRAINT "upload_sessions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
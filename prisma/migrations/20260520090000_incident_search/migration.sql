@@ -0,0 +1,10 @@
+-- AddColumn: full-text search document, kept up to date by PostgreSQL.
+-- Title matches rank above description, then location.
+ALTER TABLE "incidents" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'B') ||
+    setweight(to_tsvector('english', coalesce("address", '') || ' ' || coalesce("city", '')), 'C')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "incidents_searchVector_idx" ON "incidents" USING GIN ("searchVector");
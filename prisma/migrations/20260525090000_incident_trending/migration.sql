@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "incidents" ADD COLUMN "trendingScore" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "incidents_trendingScore_idx" ON "incidents"("trendingScore");
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "incident_interactions" (
+    "id" TEXT NOT NULL,
+    "incidentId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "viewerKey" TEXT NOT NULL,
+    "channel" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "incident_interactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "incident_interactions_incidentId_type_viewerKey_createdAt_idx" ON "incident_interactions"("incidentId", "type", "viewerKey", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "incident_interactions_incidentId_createdAt_idx" ON "incident_interactions"("incidentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "incident_interactions" ADD CONSTRAINT "incident_interactions_incidentId_fkey" FOREIGN KEY ("incidentId") REFERENCES "incidents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- CreateIndex
+CREATE INDEX "incident_status_changes_toStatus_createdAt_idx" ON "incident_status_changes"("toStatus", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "incident_response_updates_toStatus_createdAt_idx" ON "incident_response_updates"("toStatus", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "reports_reviewedAt_idx" ON "reports"("reviewedAt");
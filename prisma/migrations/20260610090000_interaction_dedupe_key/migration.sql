@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "incident_interactions" ADD COLUMN "dedupeKey" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "incident_interactions_incidentId_dedupeKey_key" ON "incident_interactions"("incidentId", "dedupeKey");
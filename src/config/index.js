@@ -2,10 +2,23 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+// TRUST_PROXY: number of proxy hops, true/false, or an Express trust list ("loopback")
+function parseTrustProxy(value) {
+    if (!value || value === 'false') {
+        return false;
+    }
+    if (value === 'true') {
+        return true;
+    }
+    return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+
 export const config = {
     // Server
     port: parseInt(process.env.PORT || '3000'),
     nodeEnv: process.env.NODE_ENV || 'development',
+    // Proxies in front of the API; needed for req.ip to be the client's address
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
 
     // JWT
     jwtSecret: process.env.JWT_SECRET || 'default-secret-change-me',
@@ -15,6 +28,31 @@ export const config = {
     uploadDir: process.env.UPLOAD_DIR || './uploads',
     maxVideoSize: parseInt(process.env.MAX_FILE_SIZE || '52428800'), // 50MB
     maxVideoDuration: parseInt(process.env.MAX_VIDEO_DURATION || '45'), // seconds
+    thumbnailSize: parseInt(process.env.THUMBNAIL_SIZE || '480'), // px, longest side
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+
+    // Lifetime of signed URLs for private files (ID proofs), in seconds
+    signedUrlTtl: parseInt(process.env.SIGNED_URL_TTL || '300'),
+
+    // Unattached uploads and stray files are removed after this grace period
+    mediaGcGraceHours: parseInt(process.env.MEDIA_GC_GRACE_HOURS || '24'),
+    mediaGcIntervalHours: parseInt(process.env.MEDIA_GC_INTERVAL_HOURS || '6'), // 0 disables the sweeper
+
+    // Trending feed scores are recomputed on this schedule (0 disables)
+    trendingIntervalMinutes: parseInt(process.env.TRENDING_INTERVAL_MINUTES || '5'),
+
+    // Upload storage: 'local' (UPLOAD_DIR) or 's3' (any S3-compatible service)
+    storageDriver: process.env.STORAGE_DRIVER || 'local',
+    s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        publicUrl: process.env.S3_PUBLIC_URL, // Public base URL of the bucket (CDN), if different
+    },
 
     // Rate limiting
     citizenDailyLimit: parseInt(process.env.CITIZEN_DAILY_LIMIT || '2'),
@@ -23,6 +61,9 @@ export const config = {
     // Database
     databaseUrl: process.env.DATABASE_URL,
 
+    // OTP storage backend: 'database' (default) or 'memory' (tests, single instance)
+    otpStore: process.env.OTP_STORE || 'database',
+
     // Is production?
     isProduction: process.env.NODE_ENV === 'production',
 };
@@ -12,8 +12,15 @@ import policeStationRoutes from './routes/police-station.routes.js';
 import adminRoutes from './routes/admin.routes.js';
 import uploadRoutes from './routes/upload.routes.js';
 import notificationRoutes from './routes/notification.routes.js';
+import policeRoutes from './routes/police.routes.js';
+import fileRoutes from './routes/file.routes.js';
 import { securityMiddleware } from './middleware/security.middleware.js';
 import { errorHandler } from './middleware/error.middleware.js';
+import { resumeMediaProcessing } from './services/media-processing.service.js';
+import { startMediaSweeper } from './services/media-gc.service.js';
+import { startTrendingUpdater } from './services/trending.service.js';
+import { config } from './config/index.js';
+import { isPrivateKey } from './lib/storage/index.js';
 
 dotenv.config();
 
@@ -23,6 +30,9 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Client IPs (rate limits, anonymous view counting) come from X-Forwarded-For behind a proxy
+app.set('trust proxy', config.trustProxy);
+
 // Security Middleware
 app.use(securityMiddleware);
 
@@ -47,8 +57,19 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files (uploads)
-app.use('/uploads', express.static(uploadsDir));
+// Serve static files (uploads) when stored on local disk.
+// Private prefixes (unprocessed uploads, ID proofs) are never served here.
+if (config.storageDriver === 'local') {
+    app.use('/uploads', (req, res, next) => {
+        let key;
+        try {
+            key = decodeURIComponent(req.path);
+        } catch {
+            return res.status(400).end();
+        }
+        return isPrivateKey(key) ? res.status(404).end() : next();
+    }, express.static(uploadsDir));
+}
 
 // Health check
 app.get('/health', (req, res) => {
@@ -67,6 +88,8 @@ app.use('/api/police-stations', policeStationRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/police', policeRoutes);
+app.use('/api/files', fileRoutes);
 
 // Error handler
 app.use(errorHandler);
@@ -89,6 +112,12 @@ app.listen(PORT, () => {
   API Base: http://localhost:${PORT}/api
   ============================
   `);
+
+    resumeMediaProcessing().catch(error => {
+        console.error('Failed to resume media processing:', error);
+    });
+    startMediaSweeper();
+    startTrendingUpdater();
 });
 
 export default app;
@@ -0,0 +1,50 @@
+import { EventEmitter } from 'events';
+
+// In-process pub/sub for live updates (SSE). Each API instance only sees its own events.
+const eventBus = new EventEmitter();
+eventBus.setMaxListeners(0); // One listener per open stream
+
+export const userChannel = (userId) => `user:${userId}`;
+export const MODERATORS_CHANNEL = 'moderators';
+
+/**
+ * Publish an event to every open stream of a user
+ */
+export function publishToUser(userId, event, data) {
+    eventBus.emit(userChannel(userId), { event, data });
+}
+
+/**
+ * Publish an event to every open admin/moderator stream
+ */
+export function publishToModerators(event, data) {
+    eventBus.emit(MODERATORS_CHANNEL, { event, data });
+}
+
+/**
+ * Publish a status change on an incident to its publisher, and new
+ * submissions to the moderation queue
+ */
+export function publishIncidentStatus(incident, fromStatus) {
+    publishToUser(incident.publisherId, 'incident-status', {
+        incidentId: incident.id,
+        title: incident.title,
+        fromStatus,
+        status: incident.status,
+        responseStatus: incident.responseStatus,
+        updatedAt: incident.updatedAt,
+    });
+
+    if (incident.status === 'SUBMITTED' && fromStatus !== 'SUBMITTED') {
+        publishToModerators('incident-submitted', {
+            incidentId: incident.id,
+            title: incident.title,
+            category: incident.category,
+            city: incident.city,
+            publisherId: incident.publisherId,
+            createdAt: incident.createdAt,
+        });
+    }
+}
+
+export default eventBus;
@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken';
+import { randomUUID } from 'crypto';
 import { config } from '../config/index.js';
 
 export const generateToken = (payload) => {
@@ -8,7 +9,8 @@ export const generateToken = (payload) => {
 };
 
 export const generateRefreshToken = (userId) => {
-    return jwt.sign({ userId, type: 'refresh' }, config.jwtSecret, {
+    // jti keeps tokens unique when several are issued for a user in the same second
+    return jwt.sign({ userId, type: 'refresh', jti: randomUUID() }, config.jwtSecret, {
         expiresIn: '30d',
     });
 };
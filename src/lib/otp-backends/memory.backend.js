@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+
+function hashesMatch(a, b) {
+    const bufA = Buffer.from(a, 'hex');
+    const bufB = Buffer.from(b, 'hex');
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * In-memory OTP backend (single process only - use for tests and local development)
+ */
+export function createMemoryBackend() {
+    const otpStore = new Map();
+    const rateLimitStore = new Map();
+
+    return {
+        async getOTP(email) {
+            return otpStore.get(email) || null;
+        },
+
+        async saveOTP(email, record) {
+            otpStore.set(email, { ...record, attempts: 0 });
+        },
+
+        async takeAttempt(email, maxAttempts, now) {
+            const stored = otpStore.get(email);
+            if (!stored || stored.attempts >= maxAttempts || now >= stored.expiresAt) {
+                return false;
+            }
+            stored.attempts++;
+            return true;
+        },
+
+        async consumeOTP(email, otpHash) {
+            const stored = otpStore.get(email);
+            if (!stored || !hashesMatch(stored.otpHash, otpHash)) {
+                return false;
+            }
+            otpStore.delete(email);
+            return true;
+        },
+
+        async deleteOTP(email) {
+            otpStore.delete(email);
+        },
+
+        async getRateLimit(email) {
+            return rateLimitStore.get(email) || null;
+        },
+
+        async startRateLimit(email, resetAt, now) {
+            const rateData = rateLimitStore.get(email);
+            if (rateData && now < rateData.resetAt) {
+                return false;
+            }
+            rateLimitStore.set(email, { count: 1, resetAt });
+            return true;
+        },
+
+        async incrementRateLimit(email, maxRequests, now) {
+            const rateData = rateLimitStore.get(email);
+            if (!rateData || rateData.count >= maxRequests || now >= rateData.resetAt) {
+                return false;
+            }
+            rateData.count++;
+            return true;
+        },
+
+        async deleteExpired(now) {
+            for (const [email, data] of otpStore.entries()) {
+                if (now > data.expiresAt) {
+                    otpStore.delete(email);
+                }
+            }
+            for (const [email, data] of rateLimitStore.entries()) {
+                if (now > data.resetAt) {
+                    rateLimitStore.delete(email);
+                }
+            }
+        },
+    };
+}
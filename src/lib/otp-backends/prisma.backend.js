@@ -0,0 +1,78 @@
+/**
+ * Database OTP backend - survives restarts and is shared between instances
+ */
+export function createPrismaBackend(prisma) {
+    return {
+        async getOTP(email) {
+            return prisma.otpCode.findUnique({ where: { email } });
+        },
+
+        async saveOTP(email, record) {
+            await prisma.otpCode.upsert({
+                where: { email },
+                update: { ...record, attempts: 0 },
+                create: { email, ...record },
+            });
+        },
+
+        // Take one attempt if the OTP is unexpired and has attempts left; true if taken
+        async takeAttempt(email, maxAttempts, now) {
+            const { count } = await prisma.otpCode.updateMany({
+                where: { email, attempts: { lt: maxAttempts }, expiresAt: { gt: now } },
+                data: { attempts: { increment: 1 } },
+            });
+            return count > 0;
+        },
+
+        // Delete the OTP only if it has this hash; true if it did
+        async consumeOTP(email, otpHash) {
+            const { count } = await prisma.otpCode.deleteMany({ where: { email, otpHash } });
+            return count > 0;
+        },
+
+        async deleteOTP(email) {
+            await prisma.otpCode.deleteMany({ where: { email } });
+        },
+
+        async getRateLimit(email) {
+            return prisma.otpRateLimit.findUnique({ where: { email } });
+        },
+
+        // Start a new window unless an unexpired one exists; true if started
+        async startRateLimit(email, resetAt, now) {
+            const { count } = await prisma.otpRateLimit.updateMany({
+                where: { email, resetAt: { lte: now } },
+                data: { count: 1, resetAt },
+            });
+            if (count > 0) {
+                return true;
+            }
+
+            try {
+                await prisma.otpRateLimit.create({ data: { email, count: 1, resetAt } });
+                return true;
+            } catch (error) {
+                if (error.code === 'P2002') {
+                    return false;
+                }
+                throw error;
+            }
+        },
+
+        // Count a request in the current window if it is under the limit; true if counted
+        async incrementRateLimit(email, maxRequests, now) {
+            const { count } = await prisma.otpRateLimit.updateMany({
+                where: { email, count: { lt: maxRequests }, resetAt: { gt: now } },
+                data: { count: { increment: 1 } },
+            });
+            return count > 0;
+        },
+
+        async deleteExpired(now) {
+            await Promise.all([
+                prisma.otpCode.deleteMany({ where: { expiresAt: { lt: now } } }),
+                prisma.otpRateLimit.deleteMany({ where: { resetAt: { lt: now } } }),
+            ]);
+        },
+    };
+}
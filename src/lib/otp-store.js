@@ -1,103 +1,113 @@
-// In-memory OTP storage with expiry
-const otpStore = new Map();
-
-// Rate limiting: track OTP send attempts per email
-const rateLimitStore = new Map();
+import crypto from 'crypto';
+import prisma from './prisma.js';
+import { config } from '../config/index.js';
+import { createMemoryBackend } from './otp-backends/memory.backend.js';
+import { createPrismaBackend } from './otp-backends/prisma.backend.js';
 
 const OTP_EXPIRY = 5 * 60 * 1000; // 5 minutes
 const MAX_ATTEMPTS = 3;
 const RATE_LIMIT_WINDOW = 60 * 60 * 1000; // 1 hour
 const MAX_REQUESTS_PER_HOUR = 5;
 
-/**
- * Store OTP with expiry
- */
-export function storeOTP(email, otp) {
-    otpStore.set(email, {
-        otp,
-        attempts: 0,
-        createdAt: Date.now(),
-        expiresAt: Date.now() + OTP_EXPIRY,
-    });
+// OTPs are never stored in plain text, whichever backend is used
+function hashOTP(email, otp) {
+    return crypto.createHmac('sha256', config.jwtSecret).update(`${email}:${otp}`).digest('hex');
 }
 
 /**
- * Verify OTP
+ * Create an OTP store on top of a storage backend.
+ * Expiry, attempt and rate-limit rules live here so every backend behaves the same.
  */
-export function verifyOTP(email, inputOTP) {
-    const stored = otpStore.get(email);
-
-    if (!stored) {
-        return { success: false, message: 'OTP not found or expired' };
-    }
-
-    if (Date.now() > stored.expiresAt) {
-        otpStore.delete(email);
-        return { success: false, message: 'OTP expired' };
+export function createOTPStore(backend) {
+    /**
+     * Store OTP with expiry
+     */
+    async function storeOTP(email, otp) {
+        const now = Date.now();
+        await backend.saveOTP(email, {
+            otpHash: hashOTP(email, otp),
+            createdAt: new Date(now),
+            expiresAt: new Date(now + OTP_EXPIRY),
+        });
     }
 
-    if (stored.attempts >= MAX_ATTEMPTS) {
-        otpStore.delete(email);
-        return { success: false, message: 'Maximum attempts exceeded' };
-    }
+    /**
+     * Verify OTP. Each guess first takes one of the MAX_ATTEMPTS in a single
+     * conditional update, so parallel requests cannot exceed the limit, and a
+     * correct code is consumed by deleting it only if its hash still matches.
+     */
+    async function verifyOTP(email, inputOTP) {
+        const now = new Date();
+
+        if (!await backend.takeAttempt(email, MAX_ATTEMPTS, now)) {
+            const stored = await backend.getOTP(email);
+
+            if (!stored) {
+                return { success: false, message: 'OTP not found or expired' };
+            }
+
+            await backend.deleteOTP(email);
+            return {
+                success: false,
+                message: now > stored.expiresAt ? 'OTP expired' : 'Maximum attempts exceeded',
+            };
+        }
 
-    stored.attempts++;
+        if (!await backend.consumeOTP(email, hashOTP(email, String(inputOTP)))) {
+            return { success: false, message: 'Invalid OTP' };
+        }
 
-    if (stored.otp !== inputOTP) {
-        return { success: false, message: 'Invalid OTP' };
+        return { success: true, message: 'OTP verified successfully' };
     }
 
-    // OTP is valid, delete it
-    otpStore.delete(email);
-    return { success: true, message: 'OTP verified successfully' };
-}
+    /**
+     * Check rate limit for OTP requests. Counting and the limit check are one
+     * conditional update, so parallel requests cannot go over the limit.
+     */
+    async function checkRateLimit(email) {
+        const now = new Date();
 
-/**
- * Check rate limit for OTP requests
- */
-export function checkRateLimit(email) {
-    const now = Date.now();
-    const rateData = rateLimitStore.get(email);
-
-    if (!rateData) {
-        rateLimitStore.set(email, {
-            count: 1,
-            resetAt: now + RATE_LIMIT_WINDOW,
-        });
-        return { allowed: true };
-    }
+        if (await backend.incrementRateLimit(email, MAX_REQUESTS_PER_HOUR, now)) {
+            return { allowed: true };
+        }
 
-    if (now > rateData.resetAt) {
-        // Reset the counter
-        rateLimitStore.set(email, {
-            count: 1,
-            resetAt: now + RATE_LIMIT_WINDOW,
-        });
-        return { allowed: true };
-    }
+        // No window yet, or it has expired - start a new one
+        if (await backend.startRateLimit(email, new Date(now.getTime() + RATE_LIMIT_WINDOW), now)) {
+            return { allowed: true };
+        }
 
-    if (rateData.count >= MAX_REQUESTS_PER_HOUR) {
+        // Another request started the window first; count this one in it
+        if (await backend.incrementRateLimit(email, MAX_REQUESTS_PER_HOUR, now)) {
+            return { allowed: true };
+        }
+
+        const rateData = await backend.getRateLimit(email);
+        const minutes = rateData ? Math.ceil((rateData.resetAt.getTime() - now.getTime()) / 60000) : 1;
         return {
             allowed: false,
-            message: `Too many requests. Try again after ${Math.ceil((rateData.resetAt - now) / 60000)} minutes`,
+            message: `Too many requests. Try again after ${minutes} minutes`,
         };
     }
 
-    rateData.count++;
-    return { allowed: true };
-}
-
-/**
- * Clean up expired OTPs (run periodically)
- */
-export function cleanupExpiredOTPs() {
-    const now = Date.now();
-    for (const [email, data] of otpStore.entries()) {
-        if (now > data.expiresAt) {
-            otpStore.delete(email);
-        }
+    /**
+     * Clean up expired OTPs and rate-limit windows (run periodically)
+     */
+    async function cleanupExpiredOTPs() {
+        await backend.deleteExpired(new Date());
     }
+
+    return { storeOTP, verifyOTP, checkRateLimit, cleanupExpiredOTPs };
 }
 
+const backend = config.otpStore === 'memory'
+    ? createMemoryBackend()
+    : createPrismaBackend(prisma);
+
+export const { storeOTP, verifyOTP, checkRateLimit, cleanupExpiredOTPs } = createOTPStore(backend);
+
 // Run cleanup every 10 minutes
-setInterval(cleanupExpiredOTPs, 10 * 60 * 1000);
+setInterval(() => {
+    cleanupExpiredOTPs().catch(error => {
+        console.error('OTP cleanup failed:', error);
+    });
+}, 10 * 60 * 1000);
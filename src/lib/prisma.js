@@ -1,13 +1,32 @@
 import { PrismaClient } from '@prisma/client';
+import { storage } from './storage/index.js';
 
 const globalForPrisma = globalThis;
 
-export const prisma = globalForPrisma.prisma || new PrismaClient({
+// Client without extensions: media `url`/`thumbnail` are raw storage keys
+export const basePrisma = globalForPrisma.prisma || new PrismaClient({
     log: process.env.NODE_ENV === 'development' ? ['query', 'error', 'warn'] : ['error'],
 });
 
 if (process.env.NODE_ENV !== 'production') {
-    globalForPrisma.prisma = prisma;
+    globalForPrisma.prisma = basePrisma;
 }
 
+// Media columns hold storage keys; everything read through this client gets
+// URLs of the active storage driver instead
+export const prisma = basePrisma.$extends({
+    result: {
+        incidentMedia: {
+            url: {
+                needs: { url: true },
+                compute: (media) => storage.url(media.url),
+            },
+            thumbnail: {
+                needs: { thumbnail: true },
+                compute: (media) => media.thumbnail && storage.url(media.thumbnail),
+            },
+        },
+    },
+});
+
 export default prisma;
@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+
+function sign(path, viewerId, expires) {
+    return crypto
+        .createHmac('sha256', config.jwtSecret)
+        .update(`${path}:${viewerId}:${expires}`)
+        .digest('base64url');
+}
+
+/**
+ * Time-limited URL for `path`, issued to `viewerId` (who is recorded on access)
+ */
+export function createSignedUrl(path, viewerId, ttl = config.signedUrlTtl) {
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    const params = new URLSearchParams({
+        uid: viewerId,
+        expires: String(expires),
+        signature: sign(path, viewerId, expires),
+    });
+
+    return `${path}?${params}`;
+}
+
+/**
+ * Check a signed URL's query params. Returns the viewer it was issued to, or null
+ * if the signature is invalid or expired.
+ */
+export function verifySignedUrl(path, { uid, expires, signature }) {
+    if (typeof uid !== 'string' || typeof expires !== 'string' || typeof signature !== 'string') {
+        return null;
+    }
+
+    if (!/^\d+$/.test(expires) || parseInt(expires) < Date.now() / 1000) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(path, uid, expires));
+    const given = Buffer.from(signature);
+
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return null;
+    }
+
+    return uid;
+}
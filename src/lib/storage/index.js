@@ -0,0 +1,47 @@
+import path from 'path';
+import { config } from '../../config/index.js';
+import { createLocalDriver } from './local.driver.js';
+import { createS3Driver } from './s3.driver.js';
+
+/**
+ * Create a storage driver by name ('local' or 's3') from the app config.
+ *
+ * Drivers store files by key (e.g. `images/media-123.jpg`) and expose
+ * put(key, body, { contentType, contentLength }), get(key) -> stream, delete(key),
+ * stat(key) -> { size } | null, list(prefix) -> async iterable of { key, size, lastModified }
+ * and url(key).
+ */
+export function createStorageDriver(name) {
+    switch (name) {
+        case 'local':
+            return createLocalDriver({ root: config.uploadDir, baseUrl: '/uploads' });
+        case 's3':
+            return createS3Driver(config.s3);
+        default:
+            throw new Error(`Unknown storage driver: ${name}`);
+    }
+}
+
+// Active driver for uploads
+export const storage = createStorageDriver(config.storageDriver);
+
+// Raw uploads wait here until processed (metadata stripped); never served publicly
+export const INCOMING_PREFIX = 'incoming/';
+
+// Private files (ID proofs), served only through signed URLs
+export const DOCUMENTS_PREFIX = 'documents/';
+
+// Chunks of resumable uploads still in progress
+export const UPLOAD_PARTS_PREFIX = 'partial/';
+
+const PRIVATE_PREFIXES = [INCOMING_PREFIX, DOCUMENTS_PREFIX, UPLOAD_PARTS_PREFIX];
+
+/**
+ * Whether a storage key (or a path relative to the upload root) is private
+ */
+export function isPrivateKey(key) {
+    const normalized = path.posix.normalize(`/${key}`).slice(1);
+    return PRIVATE_PREFIXES.some(prefix => normalized.startsWith(prefix));
+}
+
+export default storage;
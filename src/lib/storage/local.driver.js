@@ -0,0 +1,85 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Local disk storage under `root`, served by express.static at `baseUrl`
+ */
+export function createLocalDriver({ root, baseUrl = '/uploads' }) {
+    const resolve = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    async function* walk(dir, prefix) {
+        let entries;
+        try {
+            entries = await fsp.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        for (const entry of entries) {
+            const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                yield* walk(path.join(dir, entry.name), key);
+            } else {
+                const { size, mtime } = await fsp.stat(path.join(dir, entry.name));
+                yield { key, size, lastModified: mtime };
+            }
+        }
+    }
+
+    return {
+        name: 'local',
+
+        async put(key, body) {
+            const filePath = resolve(key);
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+            // Write to a temp file first so readers never see a partial file
+            await pipeline(Buffer.isBuffer(body) ? Readable.from([body]) : body, fs.createWriteStream(tempPath));
+            await fsp.rename(tempPath, filePath);
+        },
+
+        async get(key) {
+            const filePath = resolve(key);
+            await fsp.access(filePath);
+            return fs.createReadStream(filePath);
+        },
+
+        async delete(key) {
+            await fsp.rm(resolve(key), { force: true });
+        },
+
+        // { size } of a stored file, or null if it does not exist
+        async stat(key) {
+            try {
+                const { size } = await fsp.stat(resolve(key));
+                return { size };
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async *list(prefix = '') {
+            yield* walk(prefix ? resolve(prefix) : root, prefix.replace(/\/$/, ''));
+        },
+
+        url(key) {
+            return `${baseUrl}/${key}`;
+        },
+    };
+}
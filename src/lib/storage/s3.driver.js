@@ -0,0 +1,89 @@
+import {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    HeadObjectCommand,
+    ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, R2, ...).
+ * Set `endpoint` and `forcePathStyle` for non-AWS services.
+ */
+export function createS3Driver({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, publicUrl }) {
+    if (!bucket) {
+        throw new Error('S3 storage requires S3_BUCKET');
+    }
+
+    const client = new S3Client({
+        region,
+        ...(endpoint && { endpoint }),
+        forcePathStyle,
+        // Plain uploads work with every S3-compatible service (no aws-chunked checksums)
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+        responseChecksumValidation: 'WHEN_REQUIRED',
+        ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+    });
+
+    // Where objects are publicly readable (CDN, bucket website or the endpoint itself)
+    const baseUrl = (publicUrl
+        || (endpoint && forcePathStyle && `${endpoint}/${bucket}`)
+        || `https://${bucket}.s3.${region}.amazonaws.com`).replace(/\/$/, '');
+
+    return {
+        name: 's3',
+
+        async put(key, body, { contentType, contentLength } = {}) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType,
+                ContentLength: Buffer.isBuffer(body) ? body.length : contentLength,
+            }));
+        },
+
+        async get(key) {
+            const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Body;
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        // { size } of a stored object, or null if it does not exist
+        async stat(key) {
+            try {
+                const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return { size: head.ContentLength };
+            } catch (error) {
+                if (error.$metadata?.httpStatusCode === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async *list(prefix = '') {
+            let ContinuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: prefix || undefined,
+                    ContinuationToken,
+                }));
+
+                for (const object of page.Contents || []) {
+                    yield { key: object.Key, size: object.Size, lastModified: object.LastModified };
+                }
+                ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+        },
+
+        url(key) {
+            return `${baseUrl}/${key}`;
+        },
+    };
+}
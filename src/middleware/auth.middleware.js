@@ -1,5 +1,6 @@
 import { verifyToken } from '../lib/jwt.js';
 import prisma from '../lib/prisma.js';
+import { isSessionActive } from '../services/session.service.js';
 
 export const authenticate = async (req, res, next) => {
     try {
@@ -17,6 +18,10 @@ export const authenticate = async (req, res, next) => {
         try {
             const decoded = verifyToken(token);
 
+            if (decoded.type === 'refresh') {
+                throw new Error('Refresh token used as access token');
+            }
+
             // Verify user still exists and is active
             const user = await prisma.user.findUnique({
                 where: { id: decoded.userId },
@@ -30,6 +35,14 @@ export const authenticate = async (req, res, next) => {
                 });
             }
 
+            // Session was logged out (possibly from another device)
+            if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has been logged out',
+                });
+            }
+
             req.user = {
                 ...decoded,
                 id: decoded.userId,
@@ -78,12 +91,12 @@ export const optionalAuth = async (req, res, next) => {
 
             try {
                 const decoded = verifyToken(token);
-                const user = await prisma.user.findUnique({
+                const user = decoded.type !== 'refresh' && await prisma.user.findUnique({
                     where: { id: decoded.userId },
                     select: { id: true, isActive: true, role: true },
                 });
 
-                if (user && user.isActive) {
+                if (user && user.isActive && (!decoded.sid || await isSessionActive(decoded.sid))) {
                     req.user = {
                         ...decoded,
                         id: decoded.userId,
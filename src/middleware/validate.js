@@ -1,4 +1,5 @@
 import { validationResult } from 'express-validator';
+import { AppError } from './error.middleware.js';
 
 export const validate = (req, res, next) => {
     const errors = validationResult(req);
@@ -16,3 +17,20 @@ export const validate = (req, res, next) => {
 
     next();
 };
+
+// Run validation chains from inside a handler (rules that depend on loaded data);
+// fails with the same errors as `validate`
+export async function assertValid(chains, req) {
+    for (const chain of chains) {
+        await chain.run(req);
+    }
+
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        throw new AppError('Validation failed', 400, errors.array().map(err => ({
+            field: err.path,
+            message: err.msg,
+        })));
+    }
+}
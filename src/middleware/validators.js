@@ -1,4 +1,5 @@
-import { body, param, query } from 'express-validator';
+import { body, header, param, query } from 'express-validator';
+import { INCIDENT_STATUSES } from '../utils/incident-state.utils.js';
 
 export const registerValidator = [
     body('phone')
@@ -26,6 +27,11 @@ export const loginValidator = [
         .withMessage('Password is required'),
 ];
 
+export const INCIDENT_CATEGORIES = [
+    'ACCIDENT', 'CRIME', 'FIRE', 'NATURAL_DISASTER', 'PROTEST',
+    'TRAFFIC', 'INFRASTRUCTURE', 'HEALTH_EMERGENCY', 'CIVIC_ISSUE', 'OTHER'
+];
+
 export const incidentValidator = [
     body('title')
         .trim()
@@ -36,17 +42,148 @@ export const incidentValidator = [
         .isLength({ min: 10, max: 2000 })
         .withMessage('Description must be between 10 and 2000 characters'),
     body('category')
-        .isIn([
-            'ACCIDENT', 'CRIME', 'FIRE', 'NATURAL_DISASTER', 'PROTEST',
-            'TRAFFIC', 'INFRASTRUCTURE', 'HEALTH_EMERGENCY', 'CIVIC_ISSUE', 'OTHER'
-        ])
+        .isIn(INCIDENT_CATEGORIES)
+        .withMessage('Valid category is required'),
+    body('latitude')
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Valid latitude is required'),
+    body('longitude')
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Valid longitude is required'),
+    body('mediaIds')
+        .optional()
+        .isArray({ max: 5 })
+        .withMessage('mediaIds must be an array of at most 5 IDs'),
+];
+
+// Drafts may be incomplete; whatever is sent must still be valid
+export const draftValidator = [
+    body('title')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Title must be at most 200 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('Description must be at most 2000 characters'),
+    body('category')
+        .optional()
+        .isIn(INCIDENT_CATEGORIES)
         .withMessage('Valid category is required'),
     body('latitude')
+        .optional()
         .isFloat({ min: -90, max: 90 })
         .withMessage('Valid latitude is required'),
     body('longitude')
+        .optional()
         .isFloat({ min: -180, max: 180 })
         .withMessage('Valid longitude is required'),
+    body('incidentTime')
+        .optional()
+        .isISO8601()
+        .withMessage('Valid incident time is required'),
+    body('mediaIds')
+        .optional()
+        .isArray({ max: 5 })
+        .withMessage('mediaIds must be an array of at most 5 IDs'),
+];
+
+// Edits of a submitted or rejected report: fields are optional, but whatever is sent
+// must meet the same rules as a new report
+export const incidentEditValidator = [
+    body('title')
+        .optional()
+        .trim()
+        .isLength({ min: 5, max: 200 })
+        .withMessage('Title must be between 5 and 200 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ min: 10, max: 2000 })
+        .withMessage('Description must be between 10 and 2000 characters'),
+    body('category')
+        .optional()
+        .isIn(INCIDENT_CATEGORIES)
+        .withMessage('Valid category is required'),
+];
+
+// "I see this too": the citizen's current location and an optional photo
+export const corroborationValidator = [
+    body('latitude')
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Valid latitude is required'),
+    body('longitude')
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Valid longitude is required'),
+    body('mediaId')
+        .optional()
+        .isUUID()
+        .withMessage('Valid media ID is required'),
+];
+
+export const incidentUpdateValidator = [
+    body('message')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 1000 })
+        .withMessage('Message must be between 1 and 1000 characters'),
+];
+
+export const uploadSessionValidator = [
+    body('fileName')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('File name must be between 1 and 255 characters'),
+    body('mimeType')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('File type is required'),
+    body('size')
+        .isInt({ min: 1 })
+        .toInt()
+        .withMessage('File size is required'),
+];
+
+export const uploadChunkValidator = [
+    header('upload-offset')
+        .isInt({ min: 0 })
+        .toInt()
+        .withMessage('Upload-Offset header is required'),
+];
+
+export const SHARE_CHANNELS = ['WHATSAPP', 'FACEBOOK', 'X', 'TELEGRAM', 'SMS', 'EMAIL', 'COPY_LINK', 'OTHER'];
+
+export const shareValidator = [
+    body('channel')
+        .optional()
+        .isIn(SHARE_CHANNELS)
+        .withMessage(`Channel must be one of ${SHARE_CHANNELS.join(', ')}`),
+];
+
+export const analyticsQueryValidator = [
+    query('days')
+        .optional()
+        .isInt({ min: 1, max: 90 })
+        .withMessage('Days must be between 1 and 90'),
+    query('interval')
+        .optional()
+        .isIn(['day', 'hour'])
+        .withMessage('Interval must be day or hour'),
+];
+
+export const dateRangeValidator = [
+    query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('from must be an ISO 8601 date'),
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('to must be an ISO 8601 date'),
 ];
 
 export const policeStationValidator = [
@@ -89,8 +226,128 @@ export const paginationValidator = [
         .withMessage('Limit must be between 1 and 50'),
 ];
 
+export const cursorPaginationValidator = [
+    ...paginationValidator,
+    query('cursor')
+        .optional()
+        .isBase64({ urlSafe: true })
+        .withMessage('Invalid cursor'),
+    query('updatedSince')
+        .optional()
+        .isISO8601()
+        .withMessage('updatedSince must be an ISO 8601 date'),
+];
+
+export const aggregateQueryValidator = [
+    query(['minLat', 'maxLat'])
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Bounding box latitudes must be between -90 and 90'),
+    query(['minLng', 'maxLng'])
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Bounding box longitudes must be between -180 and 180'),
+    query('zoom')
+        .isInt({ min: 0, max: 20 })
+        .withMessage('Zoom must be between 0 and 20'),
+    query('category')
+        .optional()
+        .isIn(INCIDENT_CATEGORIES)
+        .withMessage('Invalid category'),
+    query('interval')
+        .optional()
+        .isIn(['hour', 'day', 'week', 'month'])
+        .withMessage('Interval must be hour, day, week or month'),
+    query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('from must be an ISO 8601 date'),
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('to must be an ISO 8601 date'),
+];
+
+export const feedSortValidator = [
+    query('sort')
+        .optional()
+        .isIn(['latest', 'trending'])
+        .withMessage('Sort must be latest or trending'),
+];
+
+export const searchQueryValidator = [
+    ...paginationValidator,
+    query('q')
+        .isString()
+        .trim()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Search text must be between 2 and 200 characters'),
+    query('category')
+        .optional()
+        .isIn(INCIDENT_CATEGORIES)
+        .withMessage('Invalid category'),
+    query('status')
+        .optional()
+        .isIn(INCIDENT_STATUSES)
+        .withMessage('Invalid status'),
+    query('city')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('City must be at most 100 characters'),
+    query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('from must be an ISO 8601 date'),
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('to must be an ISO 8601 date'),
+];
+
+export const locationQueryValidator = [
+    query('lat')
+        .optional()
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Valid latitude is required'),
+    query('lng')
+        .optional()
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Valid longitude is required'),
+    query('radius')
+        .optional()
+        .isFloat({ min: 0.1, max: 100 })
+        .withMessage('Radius must be between 0.1 and 100 km'),
+];
+
+export const deviceTokenValidator = [
+    body('token')
+        .isString()
+        .trim()
+        .isLength({ min: 10, max: 4096 })
+        .withMessage('Valid device token is required'),
+];
+
+export const deviceRegistrationValidator = [
+    ...deviceTokenValidator,
+    body('platform')
+        .isIn(['ANDROID', 'IOS', 'WEB'])
+        .withMessage('Platform must be ANDROID, IOS or WEB'),
+];
+
 export const idValidator = [
     param('id')
         .isUUID()
         .withMessage('Valid ID is required'),
 ];
+
+export const incidentIdValidator = [
+    param('incidentId')
+        .isUUID()
+        .withMessage('Valid incident ID is required'),
+];
+
+export const updateIdValidator = [
+    param('updateId')
+        .isUUID()
+        .withMessage('Valid update ID is required'),
+];
@@ -3,11 +3,54 @@ import bcrypt from 'bcryptjs';
 import prisma from '../lib/prisma.js';
 import { authenticate, authorize } from '../middleware/auth.middleware.js';
 import { asyncHandler, AppError } from '../middleware/error.middleware.js';
-import { paginationValidator, policeStationValidator, idValidator } from '../middleware/validators.js';
+import {
+    paginationValidator,
+    cursorPaginationValidator,
+    policeStationValidator,
+    idValidator,
+    incidentIdValidator,
+    dateRangeValidator,
+} from '../middleware/validators.js';
 import { validate } from '../middleware/validate.js';
+import { createNotification } from '../services/notification.service.js';
+import { changeIncidentStatus, getIncidentTimeline } from '../services/incident-status.service.js';
+import { assertTransition, canTransition, INCIDENT_STATUSES } from '../utils/incident-state.utils.js';
+import { refreshCluster } from '../services/duplicate.service.js';
+import { checkMediaConsistency } from '../utils/media.utils.js';
+import { getPrivateFileUrl } from '../services/private-file.service.js';
+import { sweepOrphanedMedia } from '../services/media-gc.service.js';
+import { searchIncidents, inSearchOrder } from '../services/search.service.js';
+import {
+    getModerationTimeSeries,
+    getModeratorResponseTimes,
+    getStationWorkload,
+    getReportResolutionTimes,
+} from '../services/analytics.service.js';
+import { getPagination, withUpdatedSince, withCursor, buildPage, cursorOrderBy, offsetPagination } from '../utils/pagination.utils.js';
 
 const router = Router();
 
+// Summary of each report in a duplicate cluster
+const clusterIncidentSelect = {
+    id: true,
+    title: true,
+    status: true,
+    latitude: true,
+    longitude: true,
+    incidentTime: true,
+    isClusterPrimary: true,
+    duplicateScore: true,
+    corroborationCount: true,
+    createdAt: true,
+    publisher: {
+        select: { id: true, name: true, credibilityScore: true },
+    },
+};
+
+// Date range of /analytics when none is given, and the longest allowed
+const DEFAULT_ANALYTICS_DAYS = 30;
+const MAX_ANALYTICS_DAYS = 366;
+
 // All admin routes require authentication and admin/moderator role
 router.use(authenticate);
 router.use(authorize('ADMIN', 'MODERATOR'));
@@ -30,10 +73,10 @@ router.get('/stats', asyncHandler(async (req, res) => {
         pendingVerifications,
     ] = await Promise.all([
         prisma.user.count(),
-        prisma.incident.count(),
+        prisma.incident.count({ where: { status: { not: 'DRAFT' } } }),
         prisma.incident.count({ where: { status: 'SUBMITTED' } }),
         prisma.incident.count({ where: { status: 'VERIFIED' } }),
-        prisma.incident.count({ where: { createdAt: { gte: today } } }),
+        prisma.incident.count({ where: { status: { not: 'DRAFT' }, createdAt: { gte: today } } }),
         prisma.report.count({ where: { status: 'PENDING' } }),
         prisma.user.count({ where: { idProofType: { not: null }, verifiedAt: null } }),
     ]);
@@ -41,11 +84,13 @@ router.get('/stats', asyncHandler(async (req, res) => {
     // Get incidents by category
     const incidentsByCategory = await prisma.incident.groupBy({
         by: ['category'],
+        where: { status: { not: 'DRAFT' } },
         _count: { id: true },
     });
 
     // Get recent incidents
     const recentIncidents = await prisma.incident.findMany({
+        where: { status: { not: 'DRAFT' } },
         take: 5,
         orderBy: { createdAt: 'desc' },
         include: {
@@ -73,64 +118,127 @@ router.get('/stats', asyncHandler(async (req, res) => {
     });
 }));
 
+// Moderation and police response analytics for a date range (default: last 30 days).
+// Time series are UTC days and weeks; durations are in hours.
+router.get('/analytics', dateRangeValidator, validate, asyncHandler(async (req, res) => {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+        ? new Date(req.query.from)
+        : new Date(to.getTime() - DEFAULT_ANALYTICS_DAYS * 24 * 60 * 60 * 1000);
+
+    if (from > to) {
+        throw new AppError('from must be before to', 400);
+    }
+    if (to - from > MAX_ANALYTICS_DAYS * 24 * 60 * 60 * 1000) {
+        throw new AppError(`Date range must be at most ${MAX_ANALYTICS_DAYS} days`, 400);
+    }
+
+    const range = { from, to };
+    const [daily, weekly, moderation, stationWorkload, reportResolution] = await Promise.all([
+        getModerationTimeSeries(range, 'day'),
+        getModerationTimeSeries(range, 'week'),
+        getModeratorResponseTimes(range),
+        getStationWorkload(range),
+        getReportResolutionTimes(range),
+    ]);
+
+    res.json({
+        success: true,
+        data: {
+            from,
+            to,
+            timeSeries: { daily, weekly },
+            moderation,
+            stationWorkload,
+            reportResolution,
+        },
+    });
+}));
+
 // ============================================
 // INCIDENT MANAGEMENT
 // ============================================
 
-// Get all incidents (with filters)
-router.get('/incidents', paginationValidator, validate, asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    const { status, category, search } = req.query;
+// Get all incidents (with filters).
+// sort=priority puts the most corroborated first; `search` ranks full-text matches
+// (title, description, location, publisher name) first. Both page by offset only.
+router.get('/incidents', cursorPaginationValidator, validate, asyncHandler(async (req, res) => {
+    const paging = getPagination(req.query, 20);
+    const { status, category, search, sort } = req.query;
+    const byPriority = sort === 'priority';
+
+    const include = {
+        publisher: {
+            select: { id: true, name: true, phone: true, role: true },
+        },
+        media: {
+            take: 1,
+            select: { id: true, type: true, url: true, thumbnail: true },
+        },
+        policeStation: {
+            select: { id: true, name: true },
+        },
+        _count: {
+            select: { reports: { where: { updateId: null } } },
+        },
+    };
 
-    const where = {
-        ...(status && { status }),
+    if (search) {
+        // Drafts are private to their publisher until submitted
+        const statuses = status && status !== 'DRAFT'
+            ? [status]
+            : INCIDENT_STATUSES.filter(value => value !== 'DRAFT');
+
+        const skip = (paging.page - 1) * paging.limit;
+        const { results, total, facets } = await searchIncidents({
+            query: search,
+            statuses,
+            category,
+            withPublisher: true,
+        }, { skip, take: paging.limit });
+
+        const rows = await prisma.incident.findMany({
+            where: { id: { in: results.map(result => result.id) } },
+            include,
+        });
+
+        return res.json({
+            success: true,
+            data: {
+                incidents: inSearchOrder(results, rows),
+                facets,
+                pagination: offsetPagination(total, paging),
+            },
+        });
+    }
+
+    // Drafts are private to their publisher until submitted
+    const where = withUpdatedSince({
+        status: status && status !== 'DRAFT' ? status : { not: 'DRAFT' },
         ...(category && { category }),
-        ...(search && {
-            OR: [
-                { title: { contains: search } },
-                { description: { contains: search } },
-                { publisher: { name: { contains: search } } },
-            ],
-        }),
-    };
+    }, paging.updatedSince);
 
-    const [incidents, total] = await Promise.all([
+    const [rows, total] = await Promise.all([
         prisma.incident.findMany({
-            where,
-            skip,
-            take: limit,
-            orderBy: { createdAt: 'desc' },
-            include: {
-                publisher: {
-                    select: { id: true, name: true, phone: true, role: true },
-                },
-                media: {
-                    take: 1,
-                    select: { id: true, type: true, url: true, thumbnail: true },
-                },
-                policeStation: {
-                    select: { id: true, name: true },
-                },
-                _count: {
-                    select: { reports: true },
-                },
-            },
+            where: byPriority ? where : withCursor(where, paging.cursor),
+            skip: byPriority ? (paging.page - 1) * paging.limit : paging.skip,
+            take: paging.limit + 1,
+            orderBy: byPriority ? [{ corroborationScore: 'desc' }, ...cursorOrderBy] : cursorOrderBy,
+            include,
         }),
         prisma.incident.count({ where }),
     ]);
 
+    const { items: incidents, pagination } = buildPage(rows, total, paging);
+    if (byPriority) {
+        pagination.nextCursor = null;
+    }
+
     res.json({
         success: true,
         data: {
             incidents,
-            pagination: {
-                page,
-                limit,
-                total,
-                totalPages: Math.ceil(total / limit),
-            },
+            pagination,
         },
     });
 }));
@@ -160,6 +268,42 @@ router.get('/incidents/:id', idValidator, validate, asyncHandler(async (req, res
                     },
                 },
             },
+            responseUpdates: {
+                orderBy: { createdAt: 'asc' },
+                include: {
+                    officer: {
+                        select: { id: true, name: true },
+                    },
+                },
+            },
+            updates: {
+                orderBy: { createdAt: 'asc' },
+                include: {
+                    author: {
+                        select: { id: true, name: true, role: true },
+                    },
+                },
+            },
+            corroborations: {
+                orderBy: { createdAt: 'asc' },
+                include: {
+                    user: {
+                        select: { id: true, name: true, credibilityScore: true },
+                    },
+                    media: {
+                        select: { id: true, type: true, url: true, thumbnail: true },
+                    },
+                },
+            },
+            cluster: {
+                include: {
+                    incidents: {
+                        where: { id: { not: req.params.id } },
+                        orderBy: { createdAt: 'asc' },
+                        select: clusterIncidentSelect,
+                    },
+                },
+            },
         },
     });
 
@@ -167,61 +311,82 @@ router.get('/incidents/:id', idValidator, validate, asyncHandler(async (req, res
         throw new AppError('Incident not found', 404);
     }
 
+    incident.timeline = await getIncidentTimeline(incident.id, { full: true });
+
+    // Media captured far from the reported place or time
+    incident.mediaFlags = checkMediaConsistency(incident, incident.media);
+
     res.json({
         success: true,
         data: { incident },
     });
 }));
 
-// Verify/Reject incident
-router.put('/incidents/:id/status', idValidator, validate, asyncHandler(async (req, res) => {
-    const { status, verificationNote } = req.body;
-
-    if (!['VERIFIED', 'REJECTED', 'TAKEN_DOWN'].includes(status)) {
-        throw new AppError('Invalid status', 400);
+const MODERATION_STATUSES = ['UNDER_REVIEW', 'VERIFIED', 'REJECTED', 'TAKEN_DOWN'];
+
+const INCIDENT_AUDIT_ACTIONS = {
+    UNDER_REVIEW: 'REVIEW_INCIDENT',
+    VERIFIED: 'VERIFY_INCIDENT',
+    REJECTED: 'REJECT_INCIDENT',
+    TAKEN_DOWN: 'TAKEDOWN_INCIDENT',
+};
+
+// Alert the officers of `station` (a findNearestPoliceStation result) about a verified incident
+async function alertPoliceStation(incident, station) {
+    const { notifyPoliceStation } = await import('../utils/location.utils.js');
+
+    await notifyPoliceStation(station.station.id, {
+        ...incident,
+        distance: station.distance.toFixed(2),
+    }, prisma);
+}
+
+// Nearest police station of an incident being verified, or null
+async function nearestPoliceStation(incident) {
+    if (!incident.latitude || !incident.longitude) {
+        return null;
     }
 
-    const incident = await prisma.incident.findUnique({
-        where: { id: req.params.id },
-    });
-
-    if (!incident) {
-        throw new AppError('Incident not found', 404);
-    }
-
-    // Find nearest police station if being verified and location exists
-    let policeStationId = incident.policeStationId;
-    if (status === 'VERIFIED' && incident.latitude && incident.longitude) {
-        const { findNearestPoliceStation, notifyPoliceStation } = await import('../utils/location.utils.js');
-        const result = await findNearestPoliceStation(incident.latitude, incident.longitude, prisma);
+    const { findNearestPoliceStation } = await import('../utils/location.utils.js');
+    return findNearestPoliceStation(incident.latitude, incident.longitude, prisma);
+}
 
-        if (result) {
-            policeStationId = result.station.id;
+// Apply a moderation decision with its side effects (police alert, publisher notification,
+// credibility and audit log). With `alertPolice: false` the caller alerts the police itself.
+async function applyModerationDecision(incident, status, verificationNote, req, { alertPolice = true } = {}) {
+    assertTransition(incident, status, req.user);
 
-            // Notify police station officers
-            await notifyPoliceStation(policeStationId, {
-                ...incident,
-                distance: result.distance.toFixed(2),
-            }, prisma);
-        }
-    }
+    // Assign the nearest police station if being verified and location exists
+    const station = status === 'VERIFIED' ? await nearestPoliceStation(incident) : null;
+    const policeStationId = station ? station.station.id : incident.policeStationId;
 
-    const updated = await prisma.incident.update({
-        where: { id: req.params.id },
+    const updated = await changeIncidentStatus(incident, status, {
+        actor: req.user,
+        note: verificationNote,
         data: {
-            status,
-            verificationNote,
-            verifiedAt: new Date(),
-            verifiedBy: req.user.id,
+            // Picking an incident up for review is not a decision
+            ...(status !== 'UNDER_REVIEW' && {
+                verificationNote,
+                verifiedAt: new Date(),
+                verifiedBy: req.user.id,
+            }),
             ...(policeStationId && { policeStationId }),
         },
     });
 
+    // Only once the status change has gone through
+    if (station && alertPolice) {
+        await alertPoliceStation(updated, station);
+    }
+
     // Create notification for publisher
     let notificationType = 'INCIDENT_VERIFIED';
     let message = 'Your incident report has been verified and is now visible to the public.';
 
-    if (status === 'REJECTED') {
+    if (status === 'UNDER_REVIEW') {
+        notificationType = 'INCIDENT_UNDER_REVIEW';
+        message = 'Your incident report is being reviewed by our team.';
+    } else if (status === 'REJECTED') {
         notificationType = 'INCIDENT_REJECTED';
         message = `Your incident report was rejected. Reason: ${verificationNote || 'Not specified'}`;
     } else if (status === 'TAKEN_DOWN') {
@@ -229,14 +394,12 @@ router.put('/incidents/:id/status', idValidator, validate, asyncHandler(async (r
         message = `Your incident report was taken down. Reason: ${verificationNote || 'Policy violation'}`;
     }
 
-    await prisma.notification.create({
-        data: {
-            userId: incident.publisherId,
-            type: notificationType,
-            title: status === 'VERIFIED' ? 'Incident Verified!' : 'Incident Status Update',
-            message,
-            data: JSON.stringify({ incidentId: incident.id }),
-        },
+    await createNotification({
+        userId: incident.publisherId,
+        type: notificationType,
+        title: status === 'VERIFIED' ? 'Incident Verified!' : 'Incident Status Update',
+        message,
+        data: JSON.stringify({ incidentId: incident.id }),
     });
 
     // Update user credibility score
@@ -256,7 +419,7 @@ router.put('/incidents/:id/status', idValidator, validate, asyncHandler(async (r
     await prisma.auditLog.create({
         data: {
             adminId: req.user.id,
-            action: status === 'VERIFIED' ? 'VERIFY_INCIDENT' : (status === 'REJECTED' ? 'REJECT_INCIDENT' : 'TAKEDOWN_INCIDENT'),
+            action: INCIDENT_AUDIT_ACTIONS[status],
             targetType: 'INCIDENT',
             targetId: incident.id,
             reason: verificationNote,
@@ -265,6 +428,27 @@ router.put('/incidents/:id/status', idValidator, validate, asyncHandler(async (r
         },
     });
 
+    return updated;
+}
+
+// Verify/Reject incident
+router.put('/incidents/:id/status', idValidator, validate, asyncHandler(async (req, res) => {
+    const { status, verificationNote } = req.body;
+
+    if (!MODERATION_STATUSES.includes(status)) {
+        throw new AppError('Invalid status', 400);
+    }
+
+    const incident = await prisma.incident.findUnique({
+        where: { id: req.params.id },
+    });
+
+    if (!incident) {
+        throw new AppError('Incident not found', 404);
+    }
+
+    const updated = await applyModerationDecision(incident, status, verificationNote, req);
+
     res.json({
         success: true,
         message: `Incident ${status.toLowerCase()} successfully`,
@@ -272,18 +456,168 @@ router.put('/incidents/:id/status', idValidator, validate, asyncHandler(async (r
     });
 }));
 
+// ============================================
+// DUPLICATE CLUSTERS
+// ============================================
+
+// Get clusters of duplicate reports that still need a decision, latest activity first.
+// Pages by offset only.
+router.get('/clusters', paginationValidator, validate, asyncHandler(async (req, res) => {
+    const paging = getPagination(req.query);
+    const pendingStatuses = ['SUBMITTED', 'UNDER_REVIEW'];
+
+    const where = {
+        incidents: { some: { status: { in: pendingStatuses } } },
+    };
+
+    const [clusters, total] = await Promise.all([
+        prisma.incidentCluster.findMany({
+            where,
+            skip: (paging.page - 1) * paging.limit,
+            take: paging.limit,
+            orderBy: [{ lastReportedAt: 'desc' }, { id: 'desc' }],
+            include: {
+                incidents: {
+                    orderBy: { createdAt: 'asc' },
+                    select: clusterIncidentSelect,
+                },
+            },
+        }),
+        prisma.incidentCluster.count({ where }),
+    ]);
+
+    res.json({
+        success: true,
+        data: {
+            clusters: clusters.map(cluster => ({
+                ...cluster,
+                pendingCount: cluster.incidents.filter(incident => pendingStatuses.includes(incident.status)).length,
+            })),
+            pagination: offsetPagination(total, paging),
+        },
+    });
+}));
+
+// Get single cluster
+router.get('/clusters/:id', idValidator, validate, asyncHandler(async (req, res) => {
+    const cluster = await prisma.incidentCluster.findUnique({
+        where: { id: req.params.id },
+        include: {
+            incidents: {
+                orderBy: { createdAt: 'asc' },
+                include: {
+                    publisher: {
+                        select: { id: true, name: true, role: true, credibilityScore: true },
+                    },
+                    media: true,
+                },
+            },
+        },
+    });
+
+    if (!cluster) {
+        throw new AppError('Cluster not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: { cluster },
+    });
+}));
+
+// Verify/Reject every report in a cluster at once.
+// Reports already past this decision (e.g. rejected ones when verifying) are skipped.
+router.put('/clusters/:id/status', idValidator, validate, asyncHandler(async (req, res) => {
+    const { status, verificationNote } = req.body;
+
+    if (!MODERATION_STATUSES.includes(status)) {
+        throw new AppError('Invalid status', 400);
+    }
+
+    const incidents = await prisma.incident.findMany({
+        where: { clusterId: req.params.id },
+        orderBy: { createdAt: 'asc' },
+    });
+
+    if (incidents.length === 0) {
+        throw new AppError('Cluster not found', 404);
+    }
+
+    const updated = [];
+    const skipped = [];
+
+    for (const incident of incidents) {
+        if (!canTransition(incident, status, req.user)) {
+            skipped.push({ id: incident.id, status: incident.status, reason: `Cannot change status from ${incident.status}` });
+            continue;
+        }
+
+        // A failed report (e.g. changed by another moderator meanwhile) does not undo the
+        // others, so it is skipped and the police alert below still covers what went through.
+        // The police are alerted once for the event, not per duplicate report.
+        try {
+            updated.push(await applyModerationDecision(incident, status, verificationNote, req, { alertPolice: false }));
+        } catch (error) {
+            if (!(error instanceof AppError)) {
+                console.error(`Cluster decision failed for incident ${incident.id}:`, error);
+            }
+            skipped.push({
+                id: incident.id,
+                status: incident.status,
+                reason: error instanceof AppError ? error.message : 'Status change failed',
+            });
+        }
+    }
+
+    if (status === 'VERIFIED' && updated.length > 0) {
+        // The cluster's primary report, as picked once every status change went through.
+        // If it was verified earlier, the police already know about the event.
+        const primary = await prisma.incident.findFirst({
+            where: { clusterId: req.params.id, isClusterPrimary: true, status: 'VERIFIED' },
+        }) || updated[0];
+        const station = updated.some(incident => incident.id === primary.id) && await nearestPoliceStation(primary);
+
+        if (station) {
+            await alertPoliceStation(primary, station);
+        }
+    }
+
+    res.json({
+        success: true,
+        message: `${updated.length} incident(s) ${status.toLowerCase()} successfully`,
+        data: { incidents: updated, skipped },
+    });
+}));
+
+// Remove an incident that is not actually a duplicate from its cluster
+router.delete('/clusters/:id/incidents/:incidentId', idValidator, incidentIdValidator, validate, asyncHandler(async (req, res) => {
+    const { count } = await prisma.incident.updateMany({
+        where: { id: req.params.incidentId, clusterId: req.params.id },
+        data: { clusterId: null, isClusterPrimary: true, duplicateScore: null },
+    });
+
+    if (count === 0) {
+        throw new AppError('Incident not found in this cluster', 404);
+    }
+
+    await refreshCluster(req.params.id);
+
+    res.json({
+        success: true,
+        message: 'Incident removed from cluster',
+    });
+}));
+
 // ============================================
 // USER MANAGEMENT
 // ============================================
 
 // Get all users
-router.get('/users', paginationValidator, validate, asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+router.get('/users', cursorPaginationValidator, validate, asyncHandler(async (req, res) => {
+    const paging = getPagination(req.query, 20);
     const { role, search, pendingVerification } = req.query;
 
-    const where = {
+    const where = withUpdatedSince({
         ...(role && { role }),
         ...(search && {
             OR: [
@@ -296,14 +630,14 @@ router.get('/users', paginationValidator, validate, asyncHandler(async (req, res
             idProofType: { not: null },
             verifiedAt: null,
         }),
-    };
+    }, paging.updatedSince);
 
-    const [users, total] = await Promise.all([
+    const [rows, total] = await Promise.all([
         prisma.user.findMany({
-            where,
-            skip,
-            take: limit,
-            orderBy: { createdAt: 'desc' },
+            where: withCursor(where, paging.cursor),
+            skip: paging.skip,
+            take: paging.limit + 1,
+            orderBy: cursorOrderBy,
             select: {
                 id: true,
                 phone: true,
@@ -325,16 +659,13 @@ router.get('/users', paginationValidator, validate, asyncHandler(async (req, res
         prisma.user.count({ where }),
     ]);
 
+    const { items: users, pagination } = buildPage(rows, total, paging);
+
     res.json({
         success: true,
         data: {
             users,
-            pagination: {
-                page,
-                limit,
-                total,
-                totalPages: Math.ceil(total / limit),
-            },
+            pagination,
         },
     });
 }));
@@ -378,6 +709,9 @@ router.get('/users/:id', idValidator, validate, asyncHandler(async (req, res) =>
         throw new AppError('User not found', 404);
     }
 
+    // ID proof is private: moderators get a signed, expiring link (each view is audited)
+    user.idProofUrl = await getPrivateFileUrl(user.idProofImage, req.user);
+
     res.json({
         success: true,
         data: { user },
@@ -456,13 +790,11 @@ router.put('/users/:id/verify', idValidator, validate, asyncHandler(async (req,
             },
         });
 
-        await prisma.notification.create({
-            data: {
-                userId: user.id,
-                type: 'VERIFICATION_APPROVED',
-                title: 'Verification Approved!',
-                message: 'Congratulations! You are now a Verified Reporter. You can post up to 5 incidents per day.',
-            },
+        await createNotification({
+            userId: user.id,
+            type: 'VERIFICATION_APPROVED',
+            title: 'Verification Approved!',
+            message: 'Congratulations! You are now a Verified Reporter. You can post up to 5 incidents per day.',
         });
     } else {
         // Clear verification data
@@ -475,13 +807,11 @@ router.put('/users/:id/verify', idValidator, validate, asyncHandler(async (req,
             },
         });
 
-        await prisma.notification.create({
-            data: {
-                userId: user.id,
-                type: 'VERIFICATION_REJECTED',
-                title: 'Verification Rejected',
-                message: note || 'Your verification request was rejected. Please submit valid documents.',
-            },
+        await createNotification({
+            userId: user.id,
+            type: 'VERIFICATION_REJECTED',
+            title: 'Verification Rejected',
+            message: note || 'Your verification request was rejected. Please submit valid documents.',
         });
     }
 
@@ -593,28 +923,68 @@ router.delete('/police-stations/:id', authorize('ADMIN'), idValidator, validate,
     });
 }));
 
+// ============================================
+// MEDIA STORAGE
+// ============================================
+
+// Dry run of the orphaned media sweeper: what would be deleted now
+router.get('/media/orphans', asyncHandler(async (req, res) => {
+    const report = await sweepOrphanedMedia({ dryRun: true });
+
+    res.json({
+        success: true,
+        data: { report },
+    });
+}));
+
+// Run the orphaned media sweeper now
+router.post('/media/sweep', authorize('ADMIN'), asyncHandler(async (req, res) => {
+    const report = await sweepOrphanedMedia();
+
+    await prisma.auditLog.create({
+        data: {
+            adminId: req.user.id,
+            action: 'SWEEP_ORPHANED_MEDIA',
+            targetType: 'MEDIA',
+            targetId: 'orphaned',
+            details: JSON.stringify({
+                orphanedMedia: report.orphanedMedia.length,
+                strayFiles: report.strayFiles.length,
+                bytes: report.bytes,
+            }),
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+        },
+    });
+
+    res.json({
+        success: true,
+        message: `Removed ${report.orphanedMedia.length} upload(s) and ${report.strayFiles.length} stray file(s)`,
+        data: { report },
+    });
+}));
+
 // ============================================
 // REPORT MANAGEMENT
 // ============================================
 
 // Get all reports
-router.get('/reports', paginationValidator, validate, asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+router.get('/reports', cursorPaginationValidator, validate, asyncHandler(async (req, res) => {
+    const paging = getPagination(req.query, 20);
     const { status, reason } = req.query;
 
-    const where = {
+    // Reports have no updatedAt; a review is the only change after creation
+    const where = withUpdatedSince({
         ...(status && { status }),
         ...(reason && { reason }),
-    };
+    }, paging.updatedSince, ['createdAt', 'reviewedAt']);
 
-    const [reports, total] = await Promise.all([
+    const [rows, total] = await Promise.all([
         prisma.report.findMany({
-            where,
-            skip,
-            take: limit,
-            orderBy: { createdAt: 'desc' },
+            where: withCursor(where, paging.cursor),
+            skip: paging.skip,
+            take: paging.limit + 1,
+            orderBy: cursorOrderBy,
             include: {
                 incident: {
                     select: {
@@ -624,6 +994,9 @@ router.get('/reports', paginationValidator, validate, asyncHandler(async (req, r
                         media: { take: 1 },
                     },
                 },
+                update: {
+                    select: { id: true, kind: true, message: true, status: true, authorId: true },
+                },
                 reporter: {
                     select: { id: true, name: true },
                 },
@@ -632,23 +1005,20 @@ router.get('/reports', paginationValidator, validate, asyncHandler(async (req, r
         prisma.report.count({ where }),
     ]);
 
+    const { items: reports, pagination } = buildPage(rows, total, paging);
+
     res.json({
         success: true,
         data: {
             reports,
-            pagination: {
-                page,
-                limit,
-                total,
-                totalPages: Math.ceil(total / limit),
-            },
+            pagination,
         },
     });
 }));
 
 // Review report
 router.put('/reports/:id', idValidator, validate, asyncHandler(async (req, res) => {
-    const { status, reviewNote, takeDownIncident } = req.body;
+    const { status, reviewNote, takeDownIncident, hideUpdate } = req.body;
 
     if (!['REVIEWED', 'ACTION_TAKEN', 'DISMISSED'].includes(status)) {
         throw new AppError('Invalid status', 400);
@@ -656,13 +1026,17 @@ router.put('/reports/:id', idValidator, validate, asyncHandler(async (req, res)
 
     const report = await prisma.report.findUnique({
         where: { id: req.params.id },
-        include: { incident: true },
+        include: { incident: true, update: true },
     });
 
     if (!report) {
         throw new AppError('Report not found', 404);
     }
 
+    if (takeDownIncident && report.incident) {
+        assertTransition(report.incident, 'TAKEN_DOWN', req.user);
+    }
+
     await prisma.report.update({
         where: { id: req.params.id },
         data: {
@@ -675,24 +1049,54 @@ router.put('/reports/:id', idValidator, validate, asyncHandler(async (req, res)
 
     // Take down incident if required
     if (takeDownIncident && report.incident) {
-        await prisma.incident.update({
-            where: { id: report.incident.id },
+        const takedownNote = reviewNote || 'Taken down due to reports';
+
+        await changeIncidentStatus(report.incident, 'TAKEN_DOWN', {
+            actor: req.user,
+            note: takedownNote,
             data: {
-                status: 'TAKEN_DOWN',
-                verificationNote: reviewNote || 'Taken down due to reports',
+                verificationNote: takedownNote,
                 verifiedBy: req.user.id,
                 verifiedAt: new Date(),
             },
         });
 
-        await prisma.notification.create({
+        await createNotification({
+            userId: report.incident.publisherId,
+            type: 'INCIDENT_REPORTED',
+            title: 'Incident Taken Down',
+            message: `Your incident "${report.incident.title}" was taken down due to policy violation.`,
+        });
+    }
+
+    // Hide the reported update/comment if required
+    if (hideUpdate && report.update && report.update.status === 'VISIBLE') {
+        const hiddenReason = reviewNote || 'Hidden due to reports';
+
+        await prisma.incidentUpdate.update({
+            where: { id: report.update.id },
+            data: { status: 'HIDDEN', hiddenReason },
+        });
+
+        await prisma.auditLog.create({
             data: {
-                userId: report.incident.publisherId,
-                type: 'INCIDENT_REPORTED',
-                title: 'Incident Taken Down',
-                message: `Your incident "${report.incident.title}" was taken down due to policy violation.`,
+                adminId: req.user.id,
+                action: 'HIDE_INCIDENT_UPDATE',
+                targetType: 'INCIDENT_UPDATE',
+                targetId: report.update.id,
+                reason: hiddenReason,
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent'),
             },
         });
+
+        await createNotification({
+            userId: report.update.authorId,
+            type: 'INCIDENT_UPDATE_HIDDEN',
+            title: 'Update Hidden',
+            message: `Your update on "${report.incident.title}" was hidden. Reason: ${hiddenReason}`,
+            data: JSON.stringify({ incidentId: report.incidentId, updateId: report.update.id }),
+        });
     }
 
     res.json({
@@ -1,13 +1,13 @@
 import { Router } from 'express';
 import bcrypt from 'bcryptjs';
 import prisma from '../lib/prisma.js';
-import { generateToken, generateRefreshToken, verifyToken } from '../lib/jwt.js';
 import { registerValidator, loginValidator } from '../middleware/validators.js';
 import { validate } from '../middleware/validate.js';
 import { asyncHandler, AppError } from '../middleware/error.middleware.js';
 import { authenticate } from '../middleware/auth.middleware.js';
 import { generateOTP, sendOTPEmail, sendWelcomeEmail } from '../services/email.service.js';
 import { storeOTP, verifyOTP, checkRateLimit } from '../lib/otp-store.js';
+import { createSession, rotateSession, revokeFamily, listSessions } from '../services/session.service.js';
 
 const router = Router();
 
@@ -30,14 +30,14 @@ router.post('/send-otp', asyncHandler(async (req, res) => {
     }
 
     // Check rate limit
-    const rateCheck = checkRateLimit(email);
+    const rateCheck = await checkRateLimit(email);
     if (!rateCheck.allowed) {
         throw new AppError(rateCheck.message, 429);
     }
 
     // Generate and store OTP
     const otp = generateOTP();
-    storeOTP(email, otp);
+    await storeOTP(email, otp);
 
     // Send OTP email asynchronously (don't wait for it)
     // This prevents delays from email service issues
@@ -61,7 +61,7 @@ router.post('/verify-otp', asyncHandler(async (req, res) => {
     }
 
     // Verify OTP
-    const verification = verifyOTP(email, otp);
+    const verification = await verifyOTP(email, otp);
 
     if (!verification.success) {
         throw new AppError(verification.message, 400);
@@ -124,8 +124,7 @@ router.post('/verify-otp', asyncHandler(async (req, res) => {
     });
 
     // Generate tokens
-    const accessToken = generateToken({ userId: user.id, role: user.role });
-    const refreshToken = generateRefreshToken({ userId: user.id });
+    const { accessToken, refreshToken } = await createSession(user, req, { email: user.email });
 
     res.json({
         success: true,
@@ -183,22 +182,7 @@ router.post('/register', registerValidator, validate, asyncHandler(async (req, r
     });
 
     // Generate tokens
-    const accessToken = generateToken({
-        userId: user.id,
-        phone: user.phone,
-        role: user.role,
-    });
-
-    const refreshToken = generateRefreshToken(user.id);
-
-    // Save refresh token
-    await prisma.refreshToken.create({
-        data: {
-            token: refreshToken,
-            userId: user.id,
-            expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-        },
-    });
+    const { accessToken, refreshToken } = await createSession(user, req, { phone: user.phone });
 
     res.status(201).json({
         success: true,
@@ -242,22 +226,7 @@ router.post('/login', loginValidator, validate, asyncHandler(async (req, res) =>
     });
 
     // Generate tokens
-    const accessToken = generateToken({
-        userId: user.id,
-        phone: user.phone,
-        role: user.role,
-    });
-
-    const refreshToken = generateRefreshToken(user.id);
-
-    // Save refresh token
-    await prisma.refreshToken.create({
-        data: {
-            token: refreshToken,
-            userId: user.id,
-            expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-        },
-    });
+    const { accessToken, refreshToken } = await createSession(user, req, { phone: user.phone });
 
     res.json({
         success: true,
@@ -322,22 +291,7 @@ router.post('/login/email', asyncHandler(async (req, res) => {
     });
 
     // Generate tokens
-    const accessToken = generateToken({
-        userId: user.id,
-        email: user.email,
-        role: user.role,
-    });
-
-    const refreshToken = generateRefreshToken(user.id);
-
-    // Save refresh token
-    await prisma.refreshToken.create({
-        data: {
-            token: refreshToken,
-            userId: user.id,
-            expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-        },
-    });
+    const { accessToken, refreshToken } = await createSession(user, req, { email: user.email });
 
     res.json({
         success: true,
@@ -365,7 +319,7 @@ router.post('/login/email', asyncHandler(async (req, res) => {
     });
 }));
 
-// Refresh token
+// Refresh token (rotates the refresh token on every call)
 router.post('/refresh', asyncHandler(async (req, res) => {
     const { refreshToken } = req.body;
 
@@ -373,55 +327,31 @@ router.post('/refresh', asyncHandler(async (req, res) => {
         throw new AppError('Refresh token is required', 400);
     }
 
-    // Verify refresh token
-    let decoded;
-    try {
-        decoded = verifyToken(refreshToken);
-    } catch {
-        throw new AppError('Invalid refresh token', 401);
-    }
-
-    // Check if refresh token exists in database
-    const storedToken = await prisma.refreshToken.findUnique({
-        where: { token: refreshToken },
-        include: { user: true },
-    });
-
-    if (!storedToken || storedToken.expiresAt < new Date()) {
-        if (storedToken) {
-            await prisma.refreshToken.delete({ where: { id: storedToken.id } });
-        }
-        throw new AppError('Refresh token expired', 401);
-    }
-
-    if (!storedToken.user.isActive) {
-        throw new AppError('Account is deactivated', 403);
-    }
-
-    // Generate new access token
-    const accessToken = generateToken({
-        userId: storedToken.user.id,
-        phone: storedToken.user.phone,
-        role: storedToken.user.role,
-    });
+    const tokens = await rotateSession(refreshToken, req);
 
     res.json({
         success: true,
-        data: { accessToken },
+        data: tokens,
     });
 }));
 
-// Logout
+// Logout (ends the current session)
 router.post('/logout', authenticate, asyncHandler(async (req, res) => {
     const { refreshToken } = req.body;
 
     if (refreshToken) {
-        await prisma.refreshToken.deleteMany({
+        const storedToken = await prisma.refreshToken.findFirst({
             where: {
                 token: refreshToken,
                 userId: req.user.id,
             },
         });
+
+        if (storedToken) {
+            await revokeFamily(storedToken.familyId);
+        }
+    } else if (req.user.sid) {
+        await revokeFamily(req.user.sid);
     }
 
     res.json({
@@ -430,6 +360,59 @@ router.post('/logout', authenticate, asyncHandler(async (req, res) => {
     });
 }));
 
+// List active sessions (devices)
+router.get('/sessions', authenticate, asyncHandler(async (req, res) => {
+    const sessions = await listSessions(req.user.id);
+
+    res.json({
+        success: true,
+        data: {
+            sessions: sessions.map(session => ({
+                ...session,
+                current: session.id === req.user.sid,
+            })),
+        },
+    });
+}));
+
+// End all other sessions
+router.delete('/sessions', authenticate, asyncHandler(async (req, res) => {
+    const { count } = await prisma.refreshToken.updateMany({
+        where: {
+            userId: req.user.id,
+            revokedAt: null,
+            ...(req.user.sid && { familyId: { not: req.user.sid } }),
+        },
+        data: { revokedAt: new Date() },
+    });
+
+    res.json({
+        success: true,
+        message: count > 0 ? 'Other sessions logged out' : 'No other active sessions',
+    });
+}));
+
+// End a single session
+router.delete('/sessions/:id', authenticate, asyncHandler(async (req, res) => {
+    const session = await prisma.refreshToken.findFirst({
+        where: {
+            familyId: req.params.id,
+            userId: req.user.id,
+        },
+    });
+
+    if (!session) {
+        throw new AppError('Session not found', 404);
+    }
+
+    await revokeFamily(session.familyId);
+
+    res.json({
+        success: true,
+        message: 'Session logged out',
+    });
+}));
+
 // Get current user
 router.get('/me', authenticate, asyncHandler(async (req, res) => {
     const user = await prisma.user.findUnique({
@@ -0,0 +1,59 @@
+import { Router } from 'express';
+import { pipeline } from 'stream/promises';
+import prisma from '../lib/prisma.js';
+import { storage } from '../lib/storage/index.js';
+import { verifySignedUrl } from '../lib/signed-url.js';
+import { asyncHandler, AppError } from '../middleware/error.middleware.js';
+import { idValidator } from '../middleware/validators.js';
+import { validate } from '../middleware/validate.js';
+import { canAccessFile, PRIVATE_FILES_PATH } from '../services/private-file.service.js';
+
+const router = Router();
+
+// Serve a private file through a signed URL.
+// The signature stands in for the Authorization header (so it works in <img src>);
+// it names the user it was issued to, whose access is re-checked and audited.
+router.get('/:id', idValidator, validate, asyncHandler(async (req, res) => {
+    const viewerId = verifySignedUrl(`${PRIVATE_FILES_PATH}/${req.params.id}`, req.query);
+
+    if (!viewerId) {
+        throw new AppError('Link is invalid or has expired', 403);
+    }
+
+    const [file, viewer] = await Promise.all([
+        prisma.privateFile.findUnique({ where: { id: req.params.id } }),
+        prisma.user.findUnique({
+            where: { id: viewerId },
+            select: { id: true, role: true, isActive: true },
+        }),
+    ]);
+
+    if (!file) {
+        throw new AppError('File not found', 404);
+    }
+
+    if (!viewer?.isActive || !canAccessFile(file, viewer)) {
+        throw new AppError('Insufficient permissions', 403);
+    }
+
+    await prisma.auditLog.create({
+        data: {
+            adminId: viewer.id,
+            action: 'VIEW_PRIVATE_FILE',
+            targetType: 'PRIVATE_FILE',
+            targetId: file.id,
+            details: JSON.stringify({ ownerId: file.ownerId, viewerRole: viewer.role }),
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+        },
+    });
+
+    res.set({
+        'Content-Type': file.mimeType,
+        'Cache-Control': 'private, no-store',
+        'X-Content-Type-Options': 'nosniff',
+    });
+    await pipeline(await storage.get(file.key), res);
+}));
+
+export default router;
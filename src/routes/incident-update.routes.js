@@ -0,0 +1,204 @@
+import { Router } from 'express';
+import prisma from '../lib/prisma.js';
+import { authenticate, optionalAuth } from '../middleware/auth.middleware.js';
+import { asyncHandler, AppError } from '../middleware/error.middleware.js';
+import {
+    incidentUpdateValidator,
+    cursorPaginationValidator,
+    idValidator,
+    updateIdValidator,
+} from '../middleware/validators.js';
+import { validate } from '../middleware/validate.js';
+import { createNotification } from '../services/notification.service.js';
+import { publishToUser } from '../lib/event-bus.js';
+import { getPagination, withCursor, buildPage, cursorOrderBy } from '../utils/pagination.utils.js';
+
+// Updates thread of an incident, mounted at /api/incidents/:id/updates
+const router = Router({ mergeParams: true });
+
+const UPDATE_TITLES = {
+    FOLLOW_UP: 'New Follow-up on Your Report',
+    COMMENT: 'New Comment on Your Report',
+    OFFICIAL: 'Official Police Update',
+};
+
+const authorSelect = {
+    select: { id: true, name: true, avatar: true, role: true, isVerified: true },
+};
+
+// Verified incidents only; the thread is public
+async function findVerifiedIncident(id) {
+    const incident = await prisma.incident.findUnique({
+        where: { id },
+        select: { id: true, title: true, status: true, publisherId: true, policeStationId: true },
+    });
+
+    if (!incident || incident.status !== 'VERIFIED') {
+        throw new AppError('Incident not found', 404);
+    }
+
+    return incident;
+}
+
+// FOLLOW_UP from the publisher, OFFICIAL from officers of the assigned station, COMMENT otherwise
+async function getUpdateKind(incident, user) {
+    if (user.id === incident.publisherId) {
+        return { kind: 'FOLLOW_UP' };
+    }
+
+    if (user.role === 'POLICE' && incident.policeStationId) {
+        const officer = await prisma.user.findUnique({
+            where: { id: user.id },
+            select: { policeStationId: true },
+        });
+
+        if (officer?.policeStationId === incident.policeStationId) {
+            return { kind: 'OFFICIAL', policeStationId: incident.policeStationId };
+        }
+    }
+
+    return { kind: 'COMMENT' };
+}
+
+// Get updates of an incident (newest first)
+router.get('/', optionalAuth, idValidator, cursorPaginationValidator, validate, asyncHandler(async (req, res) => {
+    const paging = getPagination(req.query, 20);
+    const { kind } = req.query;
+
+    await findVerifiedIncident(req.params.id);
+
+    const where = {
+        incidentId: req.params.id,
+        status: 'VISIBLE',
+        ...(kind && { kind }),
+    };
+
+    const [rows, total] = await Promise.all([
+        prisma.incidentUpdate.findMany({
+            where: withCursor(where, paging.cursor),
+            skip: paging.skip,
+            take: paging.limit + 1,
+            orderBy: cursorOrderBy,
+            include: { author: authorSelect },
+        }),
+        prisma.incidentUpdate.count({ where }),
+    ]);
+
+    const { items: updates, pagination } = buildPage(rows, total, paging);
+
+    res.json({
+        success: true,
+        data: {
+            updates,
+            pagination,
+        },
+    });
+}));
+
+// Post an update or comment
+router.post('/', authenticate, idValidator, incidentUpdateValidator, validate, asyncHandler(async (req, res) => {
+    const incident = await findVerifiedIncident(req.params.id);
+    const { kind, policeStationId } = await getUpdateKind(incident, req.user);
+
+    const update = await prisma.incidentUpdate.create({
+        data: {
+            incidentId: incident.id,
+            authorId: req.user.id,
+            kind,
+            policeStationId,
+            message: req.body.message,
+        },
+        include: { author: authorSelect },
+    });
+
+    // Live thread for the publisher's open app; other viewers refresh
+    publishToUser(incident.publisherId, 'incident-update', { incidentId: incident.id, update });
+
+    if (incident.publisherId !== req.user.id) {
+        await createNotification({
+            userId: incident.publisherId,
+            type: 'INCIDENT_UPDATE',
+            title: UPDATE_TITLES[kind],
+            message: `${update.author.name} on "${incident.title}": ${update.message.slice(0, 100)}`,
+            data: JSON.stringify({ incidentId: incident.id, updateId: update.id }),
+        });
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Update posted successfully',
+        data: { update },
+    });
+}));
+
+// Delete own update. The row is kept (status DELETED) so reports filed against it
+// still show moderators what was reported.
+router.delete('/:updateId', authenticate, idValidator, updateIdValidator, validate, asyncHandler(async (req, res) => {
+    const update = await prisma.incidentUpdate.findFirst({
+        where: { id: req.params.updateId, incidentId: req.params.id, status: { not: 'DELETED' } },
+    });
+
+    if (!update) {
+        throw new AppError('Update not found', 404);
+    }
+
+    if (update.authorId !== req.user.id && !['ADMIN', 'MODERATOR'].includes(req.user.role)) {
+        throw new AppError('You can only delete your own updates', 403);
+    }
+
+    await prisma.incidentUpdate.update({
+        where: { id: update.id },
+        data: { status: 'DELETED' },
+    });
+
+    res.json({
+        success: true,
+        message: 'Update deleted successfully',
+    });
+}));
+
+// Report an update (reviewed through the admin reports queue)
+router.post('/:updateId/report', authenticate, idValidator, updateIdValidator, validate, asyncHandler(async (req, res) => {
+    const { reason, description } = req.body;
+
+    if (!reason) {
+        throw new AppError('Report reason is required', 400);
+    }
+
+    const update = await prisma.incidentUpdate.findFirst({
+        where: { id: req.params.updateId, incidentId: req.params.id, status: 'VISIBLE' },
+    });
+
+    if (!update) {
+        throw new AppError('Update not found', 404);
+    }
+
+    // Check if already reported by this user
+    const existingReport = await prisma.report.findFirst({
+        where: {
+            updateId: update.id,
+            reporterId: req.user.id,
+        },
+    });
+
+    if (existingReport) {
+        throw new AppError('You have already reported this update', 400);
+    }
+
+    await prisma.report.create({
+        data: {
+            incidentId: update.incidentId,
+            updateId: update.id,
+            reporterId: req.user.id,
+            reason,
+            description,
+        },
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Update reported successfully. Our team will review it.',
+    });
+}));
+
+export default router;
@@ -1,84 +1,354 @@
 import { Router } from 'express';
-import prisma from '../lib/prisma.js';
+import prisma, { basePrisma } from '../lib/prisma.js';
 import { authenticate, optionalAuth } from '../middleware/auth.middleware.js';
 import { asyncHandler, AppError } from '../middleware/error.middleware.js';
 import { checkPostLimit, incrementPostCount } from '../middleware/rateLimit.middleware.js';
-import { incidentValidator, paginationValidator, idValidator } from '../middleware/validators.js';
-import { validate } from '../middleware/validate.js';
+import {
+    incidentValidator,
+    draftValidator,
+    incidentEditValidator,
+    corroborationValidator,
+    cursorPaginationValidator,
+    locationQueryValidator,
+    feedSortValidator,
+    searchQueryValidator,
+    aggregateQueryValidator,
+    shareValidator,
+    idValidator,
+    INCIDENT_CATEGORIES,
+} from '../middleware/validators.js';
+import { validate, assertValid } from '../middleware/validate.js';
+import { calculateDistance, getBoundingBox, findNearestPoliceStation } from '../utils/location.utils.js';
+import { changeIncidentStatus, recordInitialStatus, getIncidentTimeline } from '../services/incident-status.service.js';
+import { clusterIncident, refreshCluster, getClusterCorroborations } from '../services/duplicate.service.js';
+import { createNotification } from '../services/notification.service.js';
+import { deleteStoredMedia } from '../services/media-gc.service.js';
+import { searchIncidents, inSearchOrder } from '../services/search.service.js';
+import { recordView, recordShare } from '../services/engagement.service.js';
+import { aggregateIncidents, cellSize, gridCellCount, MAX_GRID_CELLS } from '../services/heatmap.service.js';
+import incidentUpdateRoutes from './incident-update.routes.js';
+import { getPagination, withUpdatedSince, withCursor, buildPage, cursorOrderBy, offsetPagination } from '../utils/pagination.utils.js';
 
 const router = Router();
 
-// Get incidents feed (public)
-router.get('/', optionalAuth, paginationValidator, validate, asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+const DEFAULT_RADIUS_KM = 10;
+
+// How close a citizen must be to corroborate an incident
+const CORROBORATION_RADIUS_KM = 2;
+
+// Time range of the heatmap aggregate when none is given, and the longest allowed
+const DEFAULT_AGGREGATE_DAYS = 30;
+const MAX_AGGREGATE_DAYS = 366;
+
+// Statuses a citizen can still corroborate
+const CORROBORATABLE_STATUSES = ['SUBMITTED', 'UNDER_REVIEW', 'VERIFIED'];
+
+// Media fields anyone who can see the incident gets
+const publicMediaSelect = {
+    id: true,
+    type: true,
+    url: true,
+    thumbnail: true,
+    duration: true,
+};
+
+// Also read for the uploader and moderators: capture metadata (EXIF GPS/time) and processing state
+const mediaDetailSelect = {
+    ...publicMediaSelect,
+    uploaderId: true,
+    capturedAt: true,
+    latitude: true,
+    longitude: true,
+    processingStatus: true,
+    processingError: true,
+};
+
+// Media of an incident as `user` may see it: capture metadata of a file only for its
+// uploader and moderators (it is stripped from the stored file for the same reason)
+function visibleMedia(media, user) {
+    const isModerator = user && ['ADMIN', 'MODERATOR'].includes(user.role);
+
+    return media.map(item => {
+        if (isModerator || (user && item.uploaderId === user.id)) {
+            return item;
+        }
+        return Object.fromEntries(Object.keys(publicMediaSelect).map(field => [field, item[field]]));
+    });
+}
 
-    const { category, status, city, lat, lng, radius } = req.query;
+// Fields returned for each incident in the feed
+const feedInclude = {
+    publisher: {
+        select: {
+            id: true,
+            name: true,
+            avatar: true,
+            role: true,
+            isVerified: true,
+        },
+    },
+    media: {
+        select: {
+            id: true,
+            type: true,
+            url: true,
+            thumbnail: true,
+        },
+        take: 3,
+    },
+    policeStation: {
+        select: {
+            id: true,
+            name: true,
+            address: true,
+            phone: true,
+        },
+    },
+    _count: {
+        select: {
+            // Reports on updates/comments are not reports of the incident
+            reports: { where: { updateId: null } },
+            updates: { where: { status: 'VISIBLE' } },
+        },
+    },
+};
 
-    // Base where clause - only show verified incidents to public
-    const where = {
-        status: status || 'VERIFIED',
+// Get incidents feed (public).
+// sort=trending ranks by the periodically recomputed trending score; it pages by offset only.
+router.get('/', optionalAuth, cursorPaginationValidator, locationQueryValidator, feedSortValidator, validate, asyncHandler(async (req, res) => {
+    const paging = getPagination(req.query, 10);
+    const { category, status, city, lat, lng, radius, sort } = req.query;
+    const trending = sort === 'trending';
+
+    const isModerator = req.user && ['ADMIN', 'MODERATOR'].includes(req.user.role);
+
+    if (status === 'DRAFT') {
+        throw new AppError('Drafts are not listed in the feed', 400);
+    }
+    if (status && status !== 'VERIFIED' && !isModerator) {
+        throw new AppError('Only verified incidents are listed in the feed', 403);
+    }
+
+    // Filters chosen by the caller, also applied to removedIds below
+    const filters = {
         ...(category && { category }),
         ...(city && { city: { contains: city } }),
     };
 
-    // If location is provided, filter by radius (basic implementation)
-    // For production, use PostGIS or similar for proper geospatial queries
-
-    const [incidents, total] = await Promise.all([
-        prisma.incident.findMany({
-            where,
-            skip,
-            take: limit,
-            orderBy: { createdAt: 'desc' },
-            include: {
-                publisher: {
-                    select: {
-                        id: true,
-                        name: true,
-                        avatar: true,
-                        role: true,
-                        isVerified: true,
-                    },
-                },
-                media: {
-                    select: {
-                        id: true,
-                        type: true,
-                        url: true,
-                        thumbnail: true,
-                    },
-                    take: 3,
-                },
-                policeStation: {
-                    select: {
-                        id: true,
-                        name: true,
-                        address: true,
-                        phone: true,
-                    },
-                },
-                _count: {
-                    select: {
-                        reports: true,
-                    },
-                },
+    // Base where clause - only show verified incidents to public,
+    // one card per cluster of duplicate reports
+    const where = withUpdatedSince({
+        status: status || 'VERIFIED',
+        isClusterPrimary: true,
+        ...filters,
+    }, paging.updatedSince);
+
+    // Nearby feed: bounding-box prefilter in the database, then exact Haversine distance
+    const nearbyFeed = lat !== undefined && lng !== undefined;
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    const radiusKm = parseFloat(radius) || DEFAULT_RADIUS_KM;
+    const box = nearbyFeed && getBoundingBox(latitude, longitude, radiusKm);
+    const boxWhere = nearbyFeed && {
+        latitude: { gte: box.minLat, lte: box.maxLat },
+        longitude: { gte: box.minLng, lte: box.maxLng },
+    };
+
+    let incidents;
+    let pagination;
+
+    if (nearbyFeed) {
+        // Sorted by distance (or trending score), so it pages by offset only
+        const candidates = await prisma.incident.findMany({
+            where: { ...where, ...boxWhere },
+            select: { id: true, latitude: true, longitude: true, createdAt: true, trendingScore: true },
+        });
+
+        const nearby = candidates
+            .map(candidate => ({
+                id: candidate.id,
+                createdAt: candidate.createdAt,
+                trendingScore: candidate.trendingScore,
+                distance: calculateDistance(latitude, longitude, candidate.latitude, candidate.longitude),
+            }))
+            .filter(candidate => candidate.distance <= radiusKm)
+            .sort(trending
+                ? (a, b) => b.trendingScore - a.trendingScore || b.createdAt - a.createdAt
+                : (a, b) => a.distance - b.distance || b.createdAt - a.createdAt);
+
+        const skip = (paging.page - 1) * paging.limit;
+        const pageItems = nearby.slice(skip, skip + paging.limit);
+
+        const rows = await prisma.incident.findMany({
+            where: { id: { in: pageItems.map(item => item.id) } },
+            include: feedInclude,
+        });
+        const rowsById = new Map(rows.map(row => [row.id, row]));
+
+        incidents = pageItems
+            .filter(item => rowsById.has(item.id))
+            .map(item => ({
+                ...rowsById.get(item.id),
+                distance: Math.round(item.distance * 100) / 100,
+            }));
+
+        pagination = {
+            page: paging.page,
+            limit: paging.limit,
+            total: nearby.length,
+            totalPages: Math.ceil(nearby.length / paging.limit),
+            hasMore: skip + paging.limit < nearby.length,
+            nextCursor: null,
+            syncedAt: paging.syncedAt,
+        };
+    } else {
+        const [rows, total] = await Promise.all([
+            prisma.incident.findMany({
+                where: trending ? where : withCursor(where, paging.cursor),
+                skip: trending ? (paging.page - 1) * paging.limit : paging.skip,
+                take: paging.limit + 1,
+                orderBy: trending ? [{ trendingScore: 'desc' }, ...cursorOrderBy] : cursorOrderBy,
+                include: feedInclude,
+            }),
+            prisma.incident.count({ where }),
+        ]);
+
+        ({ items: incidents, pagination } = buildPage(rows, total, paging));
+        if (trending) {
+            pagination.nextCursor = null;
+        }
+    }
+
+    const corroborations = await getClusterCorroborations(incidents);
+    incidents = incidents.map(incident => ({
+        ...incident,
+        corroborationCount: incident.corroborationCount + (corroborations.get(incident.clusterId) || 0),
+    }));
+
+    // Delta sync: tell the app which previously visible incidents have since been pulled,
+    // including ones now folded into another report of the same event
+    // (within the same filters and area, so the app is only told about cards it may have)
+    let removedIds;
+    if (paging.updatedSince && !status) {
+        const removed = await prisma.incident.findMany({
+            where: {
+                ...filters,
+                ...boxWhere,
+                verifiedAt: { not: null },
+                updatedAt: { gt: paging.updatedSince },
+                OR: [
+                    { status: { not: 'VERIFIED' } },
+                    { isClusterPrimary: false },
+                ],
             },
-        }),
-        prisma.incident.count({ where }),
-    ]);
+            select: { id: true, latitude: true, longitude: true },
+        });
+        removedIds = removed
+            .filter(incident => !nearbyFeed
+                || calculateDistance(latitude, longitude, incident.latitude, incident.longitude) <= radiusKm)
+            .map(incident => incident.id);
+    }
 
     res.json({
         success: true,
         data: {
             incidents,
-            pagination: {
-                page,
-                limit,
-                total,
-                totalPages: Math.ceil(total / limit),
-            },
+            pagination,
+            ...(removedIds && { removedIds }),
+        },
+    });
+}));
+
+// Search incidents (public), ranked by relevance and recency.
+// Like the feed, only verified incidents unless an admin/moderator asks for another status.
+// Pages by offset only.
+router.get('/search', optionalAuth, searchQueryValidator, validate, asyncHandler(async (req, res) => {
+    const paging = getPagination(req.query, 10);
+    const { q, category, city, status, from, to } = req.query;
+
+    const isModerator = req.user && ['ADMIN', 'MODERATOR'].includes(req.user.role);
+
+    if (status === 'DRAFT') {
+        throw new AppError('Drafts cannot be searched', 400);
+    }
+    if (status && status !== 'VERIFIED' && !isModerator) {
+        throw new AppError('Only verified incidents can be searched', 403);
+    }
+
+    const skip = (paging.page - 1) * paging.limit;
+    const { results, total, facets } = await searchIncidents({
+        query: q,
+        statuses: [status || 'VERIFIED'],
+        category,
+        city,
+        from: from && new Date(from),
+        to: to && new Date(to),
+        primaryOnly: true,
+    }, { skip, take: paging.limit });
+
+    const rows = await prisma.incident.findMany({
+        where: { id: { in: results.map(result => result.id) } },
+        include: feedInclude,
+    });
+
+    let incidents = inSearchOrder(results, rows);
+    const corroborations = await getClusterCorroborations(incidents);
+    incidents = incidents.map(incident => ({
+        ...incident,
+        corroborationCount: incident.corroborationCount + (corroborations.get(incident.clusterId) || 0),
+    }));
+
+    res.json({
+        success: true,
+        data: {
+            incidents,
+            facets,
+            pagination: offsetPagination(total, paging),
+        },
+    });
+}));
+
+// Where verified incidents cluster, for heatmaps: counts per grid cell of a bounding box.
+// Cells are sized for the map zoom; each has counts per category and time bucket.
+router.get('/aggregate', aggregateQueryValidator, validate, asyncHandler(async (req, res) => {
+    const box = {
+        minLat: parseFloat(req.query.minLat),
+        maxLat: parseFloat(req.query.maxLat),
+        minLng: parseFloat(req.query.minLng),
+        maxLng: parseFloat(req.query.maxLng),
+    };
+    const zoom = parseInt(req.query.zoom);
+    const interval = req.query.interval || 'day';
+
+    if (box.minLat > box.maxLat || box.minLng > box.maxLng) {
+        throw new AppError('Invalid bounding box', 400);
+    }
+    if (gridCellCount(box, zoom) > MAX_GRID_CELLS) {
+        throw new AppError(`Bounding box spans more than ${MAX_GRID_CELLS} cells at this zoom; zoom out or use a smaller box`, 400);
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+        ? new Date(req.query.from)
+        : new Date(to.getTime() - DEFAULT_AGGREGATE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (from > to || to - from > MAX_AGGREGATE_DAYS * 24 * 60 * 60 * 1000) {
+        throw new AppError(`Time range must be at most ${MAX_AGGREGATE_DAYS} days`, 400);
+    }
+
+    const { cells, truncated } = await aggregateIncidents({ box, zoom, from, to, category: req.query.category, interval });
+
+    res.json({
+        success: true,
+        data: {
+            zoom,
+            cellSize: cellSize(zoom),
+            from,
+            to,
+            interval,
+            total: cells.reduce((sum, cell) => sum + cell.count, 0),
+            truncated,
+            cells,
         },
     });
 }));
@@ -98,7 +368,7 @@ router.get('/:id', optionalAuth, idValidator, validate, asyncHandler(async (req,
                     credibilityScore: true,
                 },
             },
-            media: true,
+            media: { select: mediaDetailSelect },
             policeStation: true,
         },
     });
@@ -114,15 +384,66 @@ router.get('/:id', optionalAuth, idValidator, validate, asyncHandler(async (req,
         }
     }
 
-    // Increment view count
-    await prisma.incident.update({
+    // Police response history is visible to the publisher and admins
+    if (req.user && (req.user.id === incident.publisherId || ['ADMIN', 'MODERATOR'].includes(req.user.role))) {
+        incident.responseUpdates = await prisma.incidentResponseUpdate.findMany({
+            where: { incidentId: incident.id },
+            orderBy: { createdAt: 'asc' },
+            select: {
+                id: true,
+                fromStatus: true,
+                toStatus: true,
+                note: true,
+                createdAt: true,
+            },
+        });
+    }
+
+    const corroborations = await getClusterCorroborations([incident]);
+    incident.corroborationCount += corroborations.get(incident.clusterId) || 0;
+
+    if (req.user) {
+        incident.hasCorroborated = !!await prisma.incidentCorroboration.findUnique({
+            where: { incidentId_userId: { incidentId: incident.id, userId: req.user.id } },
+            select: { id: true },
+        });
+    }
+
+    incident.media = visibleMedia(incident.media, req.user);
+
+    // Count unique views only (not the publisher's own)
+    await recordView(incident, req);
+
+    res.json({
+        success: true,
+        data: { incident },
+    });
+}));
+
+// Get incident status timeline
+router.get('/:id/timeline', optionalAuth, idValidator, validate, asyncHandler(async (req, res) => {
+    const incident = await prisma.incident.findUnique({
         where: { id: req.params.id },
-        data: { viewCount: { increment: 1 } },
+        select: { id: true, status: true, publisherId: true },
     });
 
+    if (!incident) {
+        throw new AppError('Incident not found', 404);
+    }
+
+    const isPublisher = req.user?.id === incident.publisherId;
+    const isModerator = ['ADMIN', 'MODERATOR'].includes(req.user?.role);
+
+    // Same visibility as the incident itself
+    if (incident.status !== 'VERIFIED' && !isPublisher && !isModerator) {
+        throw new AppError('Incident not found', 404);
+    }
+
+    const timeline = await getIncidentTimeline(incident.id, { includeNotes: isPublisher || isModerator });
+
     res.json({
         success: true,
-        data: { incident },
+        data: { timeline },
     });
 }));
 
@@ -142,21 +463,10 @@ router.post('/', authenticate, checkPostLimit, incidentValidator, validate, asyn
         mediaIds,
     } = req.body;
 
-    // Find nearest police station
-    const policeStations = await prisma.policeStation.findMany({
-        where: { isActive: true },
-    });
-
-    let nearestStation = null;
-    let minDistance = Infinity;
+    await assertOwnMedia(mediaIds, req.user.id);
 
-    for (const station of policeStations) {
-        const distance = calculateDistance(latitude, longitude, station.latitude, station.longitude);
-        if (distance < minDistance) {
-            minDistance = distance;
-            nearestStation = station;
-        }
-    }
+    // Find nearest police station
+    const nearest = await findNearestPoliceStation(latitude, longitude, prisma);
 
     // Create incident
     const incident = await prisma.incident.create({
@@ -173,7 +483,7 @@ router.post('/', authenticate, checkPostLimit, incidentValidator, validate, asyn
             incidentTime: incidentTime ? new Date(incidentTime) : new Date(),
             publisherId: req.user.id,
             publisherBadge: req.user.role,
-            policeStationId: nearestStation?.id,
+            policeStationId: nearest?.station.id,
             status: 'SUBMITTED',
         },
         include: {
@@ -190,28 +500,80 @@ router.post('/', authenticate, checkPostLimit, incidentValidator, validate, asyn
     });
 
     // Link media if provided
-    if (mediaIds && mediaIds.length > 0) {
-        await prisma.incidentMedia.updateMany({
-            where: {
-                id: { in: mediaIds },
-                incidentId: null,
-            },
-            data: { incidentId: incident.id },
-        });
-    }
+    await linkMedia(incident.id, mediaIds, req.user.id);
 
     // Increment post count
     await incrementPostCount(req.user.id);
 
+    // Start the timeline (also notifies the moderation queue)
+    await recordInitialStatus(incident, req.user);
+
+    const duplicate = await clusterWithDuplicates(incident);
+
     res.status(201).json({
         success: true,
         message: 'Incident reported successfully. It will be visible after verification.',
-        data: { incident },
+        data: { incident, duplicate },
     });
 }));
 
-// Update incident (only if draft or own incident)
-router.put('/:id', authenticate, idValidator, validate, asyncHandler(async (req, res) => {
+// Save a draft (partial data allowed, does not count against the daily limit)
+router.post('/drafts', authenticate, draftValidator, validate, asyncHandler(async (req, res) => {
+    const {
+        title,
+        description,
+        category,
+        latitude,
+        longitude,
+        address,
+        city,
+        state,
+        pincode,
+        incidentTime,
+        mediaIds,
+    } = req.body;
+
+    await assertOwnMedia(mediaIds, req.user.id);
+
+    if (latitude === undefined || longitude === undefined) {
+        throw new AppError('Location is required to save a draft', 400);
+    }
+
+    const incident = await prisma.incident.create({
+        data: {
+            title,
+            description,
+            category,
+            latitude: parseFloat(latitude),
+            longitude: parseFloat(longitude),
+            address,
+            city,
+            state,
+            pincode,
+            incidentTime: incidentTime ? new Date(incidentTime) : new Date(),
+            publisherId: req.user.id,
+            publisherBadge: req.user.role,
+            status: 'DRAFT',
+        },
+    });
+
+    await linkMedia(incident.id, mediaIds, req.user.id);
+    await recordInitialStatus(incident, req.user);
+
+    const draft = await prisma.incident.findUnique({
+        where: { id: incident.id },
+        include: { media: { select: mediaDetailSelect } },
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Draft saved',
+        data: { incident: draft },
+    });
+}));
+
+// Update incident (drafts are autosaved; submitted or rejected incidents are re-submitted)
+router.put('/:id', authenticate, idValidator, draftValidator, validate, asyncHandler(async (req, res) => {
     const incident = await prisma.incident.findUnique({
         where: { id: req.params.id },
     });
@@ -225,30 +587,126 @@ router.put('/:id', authenticate, idValidator, validate, asyncHandler(async (req,
     }
 
     if (!['DRAFT', 'SUBMITTED', 'REJECTED'].includes(incident.status)) {
-        throw new AppError('Cannot edit incident after verification', 400);
+        throw new AppError('Cannot edit incident after verification. Post an update instead.', 400);
+    }
+
+    // Only drafts may be incomplete; edits of a report go back to moderation as they are
+    if (incident.status !== 'DRAFT') {
+        await assertValid(incidentEditValidator, req);
+    }
+
+    const {
+        title,
+        description,
+        category,
+        address,
+        city,
+        state,
+        pincode,
+        latitude,
+        longitude,
+        incidentTime,
+        mediaIds,
+    } = req.body;
+
+    const data = {
+        ...(title && { title }),
+        ...(description && { description }),
+        ...(category && { category }),
+        ...(address && { address }),
+    };
+    const include = {
+        media: { select: mediaDetailSelect },
+        policeStation: true,
+    };
+
+    if (incident.status === 'DRAFT') {
+        // Location, time and media can only change while the report is a draft
+        Object.assign(data, {
+            ...(city !== undefined && { city }),
+            ...(state !== undefined && { state }),
+            ...(pincode !== undefined && { pincode }),
+            ...(latitude !== undefined && { latitude: parseFloat(latitude) }),
+            ...(longitude !== undefined && { longitude: parseFloat(longitude) }),
+            ...(incidentTime && { incidentTime: new Date(incidentTime) }),
+        });
+        await assertOwnMedia(mediaIds, req.user.id);
+        await linkMedia(incident.id, mediaIds, req.user.id);
     }
 
-    const { title, description, category, address } = req.body;
+    // Edits re-submit the incident for verification; drafts stay drafts until submitted
+    const updated = ['DRAFT', 'SUBMITTED'].includes(incident.status)
+        ? await prisma.incident.update({ where: { id: incident.id }, data, include })
+        : await changeIncidentStatus(incident, 'SUBMITTED', {
+            actor: req.user,
+            note: 'Edited and re-submitted by publisher',
+            data,
+            include,
+        });
+    updated.media = visibleMedia(updated.media, req.user);
 
-    const updated = await prisma.incident.update({
+    res.json({
+        success: true,
+        message: incident.status === 'DRAFT' ? 'Draft saved' : 'Incident updated successfully',
+        data: { incident: updated },
+    });
+}));
+
+// Submit a draft for verification (counts against the daily limit)
+router.post('/:id/submit', authenticate, idValidator, validate, checkPostLimit, asyncHandler(async (req, res) => {
+    const incident = await prisma.incident.findUnique({
         where: { id: req.params.id },
+    });
+
+    if (!incident) {
+        throw new AppError('Incident not found', 404);
+    }
+
+    if (incident.publisherId !== req.user.id) {
+        throw new AppError('You can only submit your own incidents', 403);
+    }
+
+    if (incident.status !== 'DRAFT') {
+        throw new AppError('Only drafts can be submitted', 409);
+    }
+
+    const errors = getIncompleteFields(incident);
+    if (errors.length > 0) {
+        throw new AppError('Draft is incomplete', 400, errors);
+    }
+
+    const nearest = await findNearestPoliceStation(incident.latitude, incident.longitude, prisma);
+
+    const updated = await changeIncidentStatus(incident, 'SUBMITTED', {
+        actor: req.user,
         data: {
-            ...(title && { title }),
-            ...(description && { description }),
-            ...(category && { category }),
-            ...(address && { address }),
-            status: 'SUBMITTED', // Re-submit for verification
+            publisherBadge: req.user.role,
+            policeStationId: nearest?.station.id,
+            createdAt: new Date(), // Feeds are ordered by posting time, not by when the draft was started
         },
         include: {
-            media: true,
+            publisher: {
+                select: {
+                    id: true,
+                    name: true,
+                    avatar: true,
+                    role: true,
+                },
+            },
+            media: { select: mediaDetailSelect },
             policeStation: true,
         },
     });
+    updated.media = visibleMedia(updated.media, req.user);
+
+    await incrementPostCount(req.user.id);
+
+    const duplicate = await clusterWithDuplicates(updated);
 
     res.json({
         success: true,
-        message: 'Incident updated successfully',
-        data: { incident: updated },
+        message: 'Incident reported successfully. It will be visible after verification.',
+        data: { incident: updated, duplicate },
     });
 }));
 
@@ -270,10 +728,22 @@ router.delete('/:id', authenticate, idValidator, validate, asyncHandler(async (r
         throw new AppError('Cannot delete verified incidents. Contact support if needed.', 400);
     }
 
+    // Media rows cascade with the incident; their files must be removed too
+    const media = await basePrisma.incidentMedia.findMany({
+        where: { incidentId: incident.id },
+        select: { url: true, thumbnail: true },
+    });
+
     await prisma.incident.delete({
         where: { id: req.params.id },
     });
 
+    await deleteStoredMedia(media);
+
+    if (incident.clusterId) {
+        await refreshCluster(incident.clusterId);
+    }
+
     res.json({
         success: true,
         message: 'Incident deleted successfully',
@@ -296,10 +766,11 @@ router.post('/:id/report', authenticate, idValidator, validate, asyncHandler(asy
         throw new AppError('Incident not found', 404);
     }
 
-    // Check if already reported by this user
+    // Check if already reported by this user (reports on its updates don't count)
     const existingReport = await prisma.report.findFirst({
         where: {
             incidentId: req.params.id,
+            updateId: null,
             reporterId: req.user.id,
         },
     });
@@ -323,34 +794,196 @@ router.post('/:id/report', authenticate, idValidator, validate, asyncHandler(asy
     });
 }));
 
-// Share incident (increment share count)
-router.post('/:id/share', idValidator, validate, asyncHandler(async (req, res) => {
-    await prisma.incident.update({
+// Corroborate incident ("I see this too") from the citizen's current location
+router.post('/:id/corroborate', authenticate, idValidator, corroborationValidator, validate, asyncHandler(async (req, res) => {
+    const { mediaId } = req.body;
+    const latitude = parseFloat(req.body.latitude);
+    const longitude = parseFloat(req.body.longitude);
+
+    const incident = await prisma.incident.findUnique({
+        where: { id: req.params.id },
+    });
+
+    if (!incident || !CORROBORATABLE_STATUSES.includes(incident.status)) {
+        throw new AppError('Incident not found', 404);
+    }
+
+    if (incident.publisherId === req.user.id) {
+        throw new AppError('You cannot corroborate your own incident', 400);
+    }
+
+    const distance = calculateDistance(latitude, longitude, incident.latitude, incident.longitude);
+    if (distance > CORROBORATION_RADIUS_KM) {
+        throw new AppError(`You must be within ${CORROBORATION_RADIUS_KM} km of the incident to corroborate it`, 403);
+    }
+
+    const existing = await prisma.incidentCorroboration.findUnique({
+        where: { incidentId_userId: { incidentId: incident.id, userId: req.user.id } },
+    });
+
+    if (existing) {
+        throw new AppError('You have already corroborated this incident', 400);
+    }
+
+    if (mediaId) {
+        await assertOwnMedia([mediaId], req.user.id);
+    }
+
+    const { credibilityScore } = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { credibilityScore: true },
+    });
+
+    let corroboration;
+    let updated;
+    try {
+        ({ corroboration, updated } = await prisma.$transaction(async (tx) => {
+            // The photo joins the incident's media; if a concurrent request took it, nothing is saved
+            if (mediaId) {
+                const { count } = await tx.incidentMedia.updateMany({
+                    where: ownMediaWhere([mediaId], req.user.id),
+                    data: { incidentId: incident.id },
+                });
+
+                if (count === 0) {
+                    throw new AppError('Some media could not be found. Please upload it again.', 400);
+                }
+            }
+
+            return {
+                corroboration: await tx.incidentCorroboration.create({
+                    data: {
+                        incidentId: incident.id,
+                        userId: req.user.id,
+                        latitude,
+                        longitude,
+                        distance: Math.round(distance * 100) / 100,
+                        credibility: credibilityScore,
+                        mediaId,
+                    },
+                }),
+                updated: await tx.incident.update({
+                    where: { id: incident.id },
+                    data: {
+                        corroborationCount: { increment: 1 },
+                        corroborationScore: { increment: Math.max(credibilityScore, 0) },
+                    },
+                    select: { id: true, corroborationCount: true },
+                }),
+            };
+        }));
+    } catch (error) {
+        // Unique (incident, user): a concurrent corroboration by the same user
+        if (error.code === 'P2002') {
+            throw new AppError('You have already corroborated this incident', 400);
+        }
+        throw error;
+    }
+
+    await createNotification({
+        userId: incident.publisherId,
+        type: 'INCIDENT_CORROBORATED',
+        title: 'Someone Confirmed Your Report',
+        message: `A citizen nearby confirmed your incident report "${incident.title}".`,
+        data: JSON.stringify({ incidentId: incident.id }),
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Thank you for confirming this incident',
+        data: {
+            corroboration,
+            corroborationCount: updated.corroborationCount,
+        },
+    });
+}));
+
+// Updates thread (follow-ups, comments and official updates)
+router.use('/:id/updates', incidentUpdateRoutes);
+
+// Share incident (counted once per viewer and channel within a time window)
+router.post('/:id/share', optionalAuth, idValidator, shareValidator, validate, asyncHandler(async (req, res) => {
+    const incident = await prisma.incident.findUnique({
         where: { id: req.params.id },
-        data: { shareCount: { increment: 1 } },
+        select: { id: true, status: true },
     });
 
+    if (!incident || incident.status !== 'VERIFIED') {
+        throw new AppError('Incident not found', 404);
+    }
+
+    await recordShare(incident, req, req.body.channel || 'OTHER');
+
     res.json({
         success: true,
         message: 'Share recorded',
     });
 }));
 
-// Helper function to calculate distance between two coordinates (Haversine formula)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Radius of the Earth in km
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-    const a =
-        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-        Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+// Unattached, usable uploads of this user
+function ownMediaWhere(mediaIds, uploaderId) {
+    return {
+        id: { in: mediaIds },
+        uploaderId,
+        incidentId: null,
+        processingStatus: { not: 'FAILED' },
+    };
+}
+
+// Reject media IDs that are not the user's own unattached uploads
+async function assertOwnMedia(mediaIds, uploaderId) {
+    if (!mediaIds || mediaIds.length === 0) {
+        return;
+    }
+
+    const ids = [...new Set(mediaIds)];
+    const count = await prisma.incidentMedia.count({ where: ownMediaWhere(ids, uploaderId) });
+
+    if (count !== ids.length) {
+        throw new AppError('Some media could not be found. Please upload it again.', 400);
+    }
+}
+
+// Attach uploaded media to an incident
+async function linkMedia(incidentId, mediaIds, uploaderId) {
+    if (!mediaIds || mediaIds.length === 0) {
+        return;
+    }
+
+    await prisma.incidentMedia.updateMany({
+        where: ownMediaWhere(mediaIds, uploaderId),
+        data: { incidentId },
+    });
 }
 
-function toRad(deg) {
-    return deg * (Math.PI / 180);
+// Group a new report with likely duplicates so moderators can review them together.
+// Detection problems must never fail the report itself.
+async function clusterWithDuplicates(incident) {
+    try {
+        return await clusterIncident(incident);
+    } catch (error) {
+        console.error('Duplicate detection failed:', error);
+        return null;
+    }
+}
+
+// Fields a draft still needs before it can be submitted (same rules as incidentValidator)
+function getIncompleteFields(incident) {
+    const errors = [];
+    const title = incident.title?.trim() || '';
+    const description = incident.description?.trim() || '';
+
+    if (title.length < 5 || title.length > 200) {
+        errors.push({ field: 'title', message: 'Title must be between 5 and 200 characters' });
+    }
+    if (description.length < 10 || description.length > 2000) {
+        errors.push({ field: 'description', message: 'Description must be between 10 and 2000 characters' });
+    }
+    if (!INCIDENT_CATEGORIES.includes(incident.category)) {
+        errors.push({ field: 'category', message: 'Valid category is required' });
+    }
+
+    return errors;
 }
 
 export default router;
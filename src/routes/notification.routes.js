@@ -2,32 +2,108 @@ import { Router } from 'express';
 import prisma from '../lib/prisma.js';
 import { authenticate } from '../middleware/auth.middleware.js';
 import { asyncHandler } from '../middleware/error.middleware.js';
-import { paginationValidator } from '../middleware/validators.js';
+import { cursorPaginationValidator, deviceTokenValidator, deviceRegistrationValidator } from '../middleware/validators.js';
 import { validate } from '../middleware/validate.js';
+import { publishUnreadCount } from '../services/notification.service.js';
+import { isSessionActive } from '../services/session.service.js';
+import eventBus, { userChannel, MODERATORS_CHANNEL } from '../lib/event-bus.js';
+import { getPagination, withUpdatedSince, withCursor, buildPage, cursorOrderBy } from '../utils/pagination.utils.js';
 
 const router = Router();
 
+const STREAM_HEARTBEAT_INTERVAL = 25 * 1000;
+
+// EventSource cannot send headers, so the stream also accepts the access token as ?token=
+router.use('/stream', (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+});
+
 // All notification routes require authentication
 router.use(authenticate);
 
+// Live stream (Server-Sent Events) of notifications, unread count and incident status changes.
+// Admins and moderators also receive newly submitted incidents.
+// Headers are sent right away, so errors end the stream with an `error` event instead of
+// going to the error handler. The stream closes once its session is logged out.
+router.get('/stream', async (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Disable proxy buffering
+    });
+    res.flushHeaders();
+
+    // compression() buffers output; flush so every event is sent immediately
+    const write = (chunk) => {
+        res.write(chunk);
+        res.flush?.();
+    };
+    const send = ({ event, data }) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const channels = [userChannel(req.user.id)];
+    if (['ADMIN', 'MODERATOR'].includes(req.user.role)) {
+        channels.push(MODERATORS_CHANNEL);
+    }
+
+    let heartbeat;
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        channels.forEach(channel => eventBus.off(channel, send));
+    };
+    const close = (message) => {
+        send({ event: 'error', data: { message } });
+        cleanup();
+        res.end();
+    };
+
+    channels.forEach(channel => eventBus.on(channel, send));
+
+    heartbeat = setInterval(async () => {
+        try {
+            if (req.user.sid && !(await isSessionActive(req.user.sid))) {
+                return close('Session has been logged out');
+            }
+            write(': ping\n\n');
+        } catch (error) {
+            console.error('Notification stream session check failed:', error);
+            close('Stream error');
+        }
+    }, STREAM_HEARTBEAT_INTERVAL);
+
+    req.on('close', cleanup);
+
+    try {
+        const unreadCount = await prisma.notification.count({
+            where: { userId: req.user.id, isRead: false },
+        });
+        send({ event: 'unread-count', data: { unreadCount } });
+    } catch (error) {
+        console.error('Notification stream failed:', error);
+        close('Stream error');
+    }
+});
+
 // Get user notifications
-router.get('/', paginationValidator, validate, asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+router.get('/', cursorPaginationValidator, validate, asyncHandler(async (req, res) => {
+    const paging = getPagination(req.query, 20);
     const { unreadOnly } = req.query;
 
-    const where = {
+    // Notifications have no updatedAt; reading one is the only change after creation
+    const where = withUpdatedSince({
         userId: req.user.id,
         ...(unreadOnly === 'true' && { isRead: false }),
-    };
+    }, paging.updatedSince, ['createdAt', 'readAt']);
 
-    const [notifications, total, unreadCount] = await Promise.all([
+    const [rows, total, unreadCount] = await Promise.all([
         prisma.notification.findMany({
-            where,
-            skip,
-            take: limit,
-            orderBy: { createdAt: 'desc' },
+            where: withCursor(where, paging.cursor),
+            skip: paging.skip,
+            take: paging.limit + 1,
+            orderBy: cursorOrderBy,
         }),
         prisma.notification.count({ where }),
         prisma.notification.count({
@@ -35,21 +111,52 @@ router.get('/', paginationValidator, validate, asyncHandler(async (req, res) =>
         }),
     ]);
 
+    const { items: notifications, pagination } = buildPage(rows, total, paging);
+
     res.json({
         success: true,
         data: {
             notifications,
-            pagination: {
-                page,
-                limit,
-                total,
-                totalPages: Math.ceil(total / limit),
-            },
+            pagination,
             unreadCount,
         },
     });
 }));
 
+// Register device for push notifications
+router.post('/devices', deviceRegistrationValidator, validate, asyncHandler(async (req, res) => {
+    const { token, platform } = req.body;
+
+    // A token belongs to one device; re-registering moves it to the current user
+    const device = await prisma.deviceToken.upsert({
+        where: { token },
+        update: { userId: req.user.id, platform },
+        create: { userId: req.user.id, token, platform },
+        select: { id: true, platform: true, createdAt: true, updatedAt: true },
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Device registered',
+        data: { device },
+    });
+}));
+
+// Unregister device (e.g. on logout)
+router.delete('/devices', deviceTokenValidator, validate, asyncHandler(async (req, res) => {
+    await prisma.deviceToken.deleteMany({
+        where: {
+            token: req.body.token,
+            userId: req.user.id,
+        },
+    });
+
+    res.json({
+        success: true,
+        message: 'Device unregistered',
+    });
+}));
+
 // Mark notification as read
 router.put('/:id/read', asyncHandler(async (req, res) => {
     const notification = await prisma.notification.findUnique({
@@ -71,6 +178,8 @@ router.put('/:id/read', asyncHandler(async (req, res) => {
         },
     });
 
+    await publishUnreadCount(req.user.id);
+
     res.json({
         success: true,
         message: 'Notification marked as read',
@@ -90,6 +199,8 @@ router.put('/read-all', asyncHandler(async (req, res) => {
         },
     });
 
+    await publishUnreadCount(req.user.id);
+
     res.json({
         success: true,
         message: 'All notifications marked as read',
@@ -113,6 +224,8 @@ router.delete('/:id', asyncHandler(async (req, res) => {
         where: { id: req.params.id },
     });
 
+    await publishUnreadCount(req.user.id);
+
     res.json({
         success: true,
         message: 'Notification deleted',
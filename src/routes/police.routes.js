@@ -0,0 +1,213 @@
+import { Router } from 'express';
+import prisma from '../lib/prisma.js';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+import { asyncHandler, AppError } from '../middleware/error.middleware.js';
+import { cursorPaginationValidator, idValidator } from '../middleware/validators.js';
+import { validate } from '../middleware/validate.js';
+import { createNotification } from '../services/notification.service.js';
+import { publishIncidentStatus } from '../lib/event-bus.js';
+import { getPagination, withUpdatedSince, withCursor, buildPage, cursorOrderBy } from '../utils/pagination.utils.js';
+
+const router = Router();
+
+// Allowed police response transitions (current status -> next statuses)
+const RESPONSE_TRANSITIONS = {
+    PENDING: ['ACKNOWLEDGED'],
+    ACKNOWLEDGED: ['DISPATCHED', 'CLOSED'],
+    DISPATCHED: ['ON_SCENE', 'CLOSED'],
+    ON_SCENE: ['CLOSED'],
+    CLOSED: [],
+};
+
+const RESPONSE_MESSAGES = {
+    ACKNOWLEDGED: 'has acknowledged your incident report',
+    DISPATCHED: 'has dispatched officers to the incident location',
+    ON_SCENE: 'officers have reached the incident location',
+    CLOSED: 'has closed the incident',
+};
+
+// All police routes require authentication and POLICE role
+router.use(authenticate);
+router.use(authorize('POLICE'));
+
+// Officers must be linked to a police station
+router.use(asyncHandler(async (req, res, next) => {
+    const officer = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { policeStationId: true },
+    });
+
+    if (!officer?.policeStationId) {
+        throw new AppError('Your account is not linked to a police station', 403);
+    }
+
+    req.policeStationId = officer.policeStationId;
+    next();
+}));
+
+// Get own police station
+router.get('/station', asyncHandler(async (req, res) => {
+    const station = await prisma.policeStation.findUnique({
+        where: { id: req.policeStationId },
+    });
+
+    res.json({
+        success: true,
+        data: { policeStation: station },
+    });
+}));
+
+// Get incidents assigned to the officer's station
+router.get('/incidents', cursorPaginationValidator, validate, asyncHandler(async (req, res) => {
+    const paging = getPagination(req.query, 20);
+    const { responseStatus, category } = req.query;
+
+    const where = withUpdatedSince({
+        policeStationId: req.policeStationId,
+        status: 'VERIFIED',
+        ...(responseStatus && { responseStatus }),
+        ...(category && { category }),
+    }, paging.updatedSince);
+
+    const [rows, total] = await Promise.all([
+        prisma.incident.findMany({
+            where: withCursor(where, paging.cursor),
+            skip: paging.skip,
+            take: paging.limit + 1,
+            orderBy: cursorOrderBy,
+            include: {
+                publisher: {
+                    select: { id: true, name: true, phone: true, role: true },
+                },
+                media: {
+                    take: 1,
+                    select: { id: true, type: true, url: true, thumbnail: true },
+                },
+            },
+        }),
+        prisma.incident.count({ where }),
+    ]);
+
+    const { items: incidents, pagination } = buildPage(rows, total, paging);
+
+    res.json({
+        success: true,
+        data: {
+            incidents,
+            pagination,
+        },
+    });
+}));
+
+// Get single assigned incident with response history
+router.get('/incidents/:id', idValidator, validate, asyncHandler(async (req, res) => {
+    const incident = await prisma.incident.findFirst({
+        where: {
+            id: req.params.id,
+            policeStationId: req.policeStationId,
+            status: 'VERIFIED',
+        },
+        include: {
+            publisher: {
+                select: { id: true, name: true, phone: true, role: true, credibilityScore: true },
+            },
+            media: {
+                select: { id: true, type: true, url: true, thumbnail: true, duration: true },
+            },
+            responseUpdates: {
+                orderBy: { createdAt: 'asc' },
+                include: {
+                    officer: {
+                        select: { id: true, name: true },
+                    },
+                },
+            },
+        },
+    });
+
+    if (!incident) {
+        throw new AppError('Incident not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: { incident },
+    });
+}));
+
+// Record a response transition on an assigned incident
+const respond = (toStatus) => asyncHandler(async (req, res) => {
+    const { note } = req.body;
+
+    const incident = await prisma.incident.findFirst({
+        where: {
+            id: req.params.id,
+            policeStationId: req.policeStationId,
+            status: 'VERIFIED',
+        },
+        include: {
+            policeStation: {
+                select: { name: true },
+            },
+        },
+    });
+
+    if (!incident) {
+        throw new AppError('Incident not found', 404);
+    }
+
+    const fromStatus = incident.responseStatus;
+    if (!RESPONSE_TRANSITIONS[fromStatus]?.includes(toStatus)) {
+        throw new AppError(`Cannot change response status from ${fromStatus} to ${toStatus}`, 409);
+    }
+
+    let updated;
+    let responseUpdate;
+    try {
+        [updated, responseUpdate] = await prisma.$transaction([
+            // Only applies if no other officer changed the response status since it was read
+            prisma.incident.update({
+                where: { id: incident.id, responseStatus: fromStatus },
+                data: { responseStatus: toStatus },
+            }),
+            prisma.incidentResponseUpdate.create({
+                data: {
+                    incidentId: incident.id,
+                    officerId: req.user.id,
+                    policeStationId: req.policeStationId,
+                    fromStatus,
+                    toStatus,
+                    note,
+                },
+            }),
+        ]);
+    } catch (error) {
+        if (error.code === 'P2025') {
+            throw new AppError('Response status was changed by another officer. Please reload and try again.', 409);
+        }
+        throw error;
+    }
+
+    // Keep the publisher informed
+    publishIncidentStatus(updated, updated.status);
+    await createNotification({
+        userId: incident.publisherId,
+        type: 'POLICE_RESPONSE_UPDATE',
+        title: 'Police Response Update',
+        message: `${incident.policeStation.name} ${RESPONSE_MESSAGES[toStatus]}.${note ? ` Note: ${note}` : ''}`,
+        data: JSON.stringify({ incidentId: incident.id, responseStatus: toStatus }),
+    });
+
+    res.json({
+        success: true,
+        message: `Incident marked as ${toStatus.toLowerCase().replace('_', ' ')}`,
+        data: { incident: updated, responseUpdate },
+    });
+});
+
+router.post('/incidents/:id/acknowledge', idValidator, validate, respond('ACKNOWLEDGED'));
+router.post('/incidents/:id/dispatch', idValidator, validate, respond('DISPATCHED'));
+router.post('/incidents/:id/on-scene', idValidator, validate, respond('ON_SCENE'));
+router.post('/incidents/:id/close', idValidator, validate, respond('CLOSED'));
+
+export default router;
@@ -1,65 +1,110 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
+import sharp from 'sharp';
 import { v4 as uuidv4 } from 'uuid';
 import { authenticate } from '../middleware/auth.middleware.js';
 import { AppError, asyncHandler } from '../middleware/error.middleware.js';
 import prisma from '../lib/prisma.js';
-
+import { storage, INCOMING_PREFIX, DOCUMENTS_PREFIX } from '../lib/storage/index.js';
+import { idValidator, uploadSessionValidator, uploadChunkValidator } from '../middleware/validators.js';
+import { validate } from '../middleware/validate.js';
+import { enqueueMediaProcessing } from '../services/media-processing.service.js';
+import { getPrivateFileUrl } from '../services/private-file.service.js';
+import { detectFileType, IMAGE_TYPES, MEDIA_TYPES, DOCUMENT_TYPES } from '../utils/file-type.utils.js';
+import {
+    createUploadSession,
+    getUploadSession,
+    appendChunk,
+    completeUploadSession,
+    cancelUploadSession,
+    sessionProgress,
+} from '../services/upload-session.service.js';
 
 const router = Router();
 
-// Configure storage
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        let uploadPath = process.env.UPLOAD_DIR || './uploads';
-
-        // Organize by type
-        if (file.mimetype.startsWith('image/')) {
-            uploadPath = path.join(uploadPath, 'images');
-        } else if (file.mimetype.startsWith('video/')) {
-            uploadPath = path.join(uploadPath, 'videos');
-        } else if (file.fieldname === 'avatar') {
-            uploadPath = path.join(uploadPath, 'avatars');
-        } else {
-            uploadPath = path.join(uploadPath, 'documents');
-        }
-
-        // Ensure directory exists
-        if (!fs.existsSync(uploadPath)) {
-            fs.mkdirSync(uploadPath, { recursive: true });
-        }
+// Uploads land in a temp dir, then go to the storage driver
+const tempDir = path.join(os.tmpdir(), 'spot-samachar-uploads');
 
-        cb(null, uploadPath);
+const tempStorage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        fs.mkdirSync(tempDir, { recursive: true });
+        cb(null, tempDir);
     },
     filename: (req, file, cb) => {
-        // Generate unique filename
+        // Generate unique filename; the extension is added once the content has been checked
         const uniqueSuffix = `${Date.now()}-${uuidv4()}`;
-        const ext = path.extname(file.originalname);
-        cb(null, `${file.fieldname}-${uniqueSuffix}${ext}`);
+        cb(null, `${file.fieldname}-${uniqueSuffix}`);
     }
 });
 
-// File filter
-const fileFilter = (req, file, cb) => {
-    if (file.fieldname === 'avatar') {
-        if (!file.mimetype.startsWith('image/')) {
-            return cb(new AppError('Only images are allowed for avatars', 400), false);
+// Check the content of uploaded temp files against the `allowed` types.
+// The detected type replaces the declared one and sets the stored extension.
+// If any file is rejected, none of them are kept.
+async function checkUploads(files, allowed) {
+    try {
+        for (const file of files) {
+            const type = await detectFileType(file.path, file.mimetype, allowed);
+            if (type.error) {
+                throw new AppError(`${file.originalname}: ${type.error}`, 400);
+            }
+
+            file.mimetype = type.mimeType;
+            file.filename = `${file.filename}.${type.ext}`;
+        }
+    } catch (error) {
+        await Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })));
+        throw error;
+    }
+}
+
+// Move an uploaded temp file into storage
+async function storeUpload(file, key) {
+    try {
+        await storage.put(key, fs.createReadStream(file.path), {
+            contentType: file.mimetype,
+            contentLength: file.size,
+        });
+    } finally {
+        await fs.promises.rm(file.path, { force: true });
+    }
+}
+
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB max
+
+// Resumable uploads are sent in chunks of at most this size
+const MAX_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+
+// Why a file of `mimetype` is not allowed for `fieldname`, or null if it is
+function fileTypeError(fieldname, mimetype) {
+    if (fieldname === 'avatar') {
+        if (!mimetype.startsWith('image/')) {
+            return 'Only images are allowed for avatars';
         }
-    } else if (file.fieldname === 'media') {
-        if (!file.mimetype.startsWith('image/') && !file.mimetype.startsWith('video/')) {
-            return cb(new AppError('Only images and videos are allowed', 400), false);
+    } else if (fieldname === 'media') {
+        if (!mimetype.startsWith('image/') && !mimetype.startsWith('video/')) {
+            return 'Only images and videos are allowed';
         }
     }
+    return null;
+}
+
+// File filter
+const fileFilter = (req, file, cb) => {
+    const error = fileTypeError(file.fieldname, file.mimetype);
+    if (error) {
+        return cb(new AppError(error, 400), false);
+    }
     cb(null, true);
 };
 
 const upload = multer({
-    storage: storage,
+    storage: tempStorage,
     fileFilter: fileFilter,
     limits: {
-        fileSize: 50 * 1024 * 1024, // 50MB max
+        fileSize: MAX_FILE_SIZE,
     }
 });
 
@@ -70,36 +115,30 @@ router.post('/media', authenticate, upload.array('media', 5), asyncHandler(async
         throw new AppError('No files uploaded', 400);
     }
 
+    await checkUploads(req.files, MEDIA_TYPES);
+
     // Store media metadata in database (linked to user temporarily, will be linked to incident later)
     const mediaPromises = req.files.map(async (file) => {
-        let type = 'IMAGE';
-        let url = '';
-        let thumbnail = null;
-        let duration = null; // To be extracted if needed
-
-        if (file.mimetype.startsWith('video/')) {
-            type = 'VIDEO';
-            url = `/uploads/videos/${file.filename}`;
-            thumbnail = url; // Use video URL as thumbnail (mobile app can show first frame)
-        } else {
-            url = `/uploads/images/${file.filename}`;
-            thumbnail = url;
-        }
+        // Raw files stay private until background processing has stripped their metadata
+        // and moved them to images/ or videos/ with a thumbnail
+        const key = `${INCOMING_PREFIX}${file.filename}`;
+        await storeUpload(file, key);
 
         return prisma.incidentMedia.create({
             data: {
-                type,
-                url, // Path relative to server root
-                thumbnail,
+                uploaderId: req.user.id,
+                type: file.mimetype.startsWith('video/') ? 'VIDEO' : 'IMAGE',
+                url: key, // Storage key, resolved to a URL by the active driver
                 size: file.size,
                 mimeType: file.mimetype,
-                duration: duration,
             }
         });
     });
 
     const mediaRecords = await Promise.all(mediaPromises);
 
+    enqueueMediaProcessing(mediaRecords.map(m => m.id));
+
     res.status(201).json({
         success: true,
         data: {
@@ -109,23 +148,207 @@ router.post('/media', authenticate, upload.array('media', 5), asyncHandler(async
     });
 }));
 
-// Upload single file (avatar, etc)
-router.post('/single', authenticate, upload.single('file'), asyncHandler(async (req, res) => {
+// Start a resumable media upload (large videos on unreliable networks).
+// Send chunks with PUT /sessions/:id, then POST /sessions/:id/complete.
+router.post('/sessions', authenticate, uploadSessionValidator, validate, asyncHandler(async (req, res) => {
+    const { fileName, mimeType, size } = req.body;
+
+    const error = fileTypeError('media', mimeType);
+    if (error) {
+        throw new AppError(error, 400);
+    }
+
+    if (size > MAX_FILE_SIZE) {
+        throw new AppError(`File is too large (max ${MAX_FILE_SIZE / (1024 * 1024)}MB)`, 413);
+    }
+
+    const session = await createUploadSession(req.user.id, { fileName, mimeType, size });
+
+    res.status(201).json({
+        success: true,
+        data: {
+            session: sessionProgress(session),
+            maxChunkSize: MAX_CHUNK_SIZE,
+        }
+    });
+}));
+
+// Upload progress, to know where to resume after a dropped connection
+router.get('/sessions/:id', authenticate, idValidator, validate, asyncHandler(async (req, res) => {
+    const session = await getUploadSession(req.params.id, req.user.id);
+
+    res.json({
+        success: true,
+        data: { session: sessionProgress(session) }
+    });
+}));
+
+// Send the next chunk as the raw request body; Upload-Offset is its position in the file
+router.put(
+    '/sessions/:id',
+    authenticate,
+    idValidator,
+    uploadChunkValidator,
+    validate,
+    express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }),
+    asyncHandler(async (req, res) => {
+        const session = await getUploadSession(req.params.id, req.user.id);
+
+        // Chunks must not be sent as JSON or form data: those bodies are parsed by the app-wide parsers
+        const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        const updated = await appendChunk(session, Number(req.get('Upload-Offset')), chunk);
+
+        res.json({
+            success: true,
+            data: { session: sessionProgress(updated) }
+        });
+    })
+);
+
+// Finish a resumable upload; returns the media ID to attach to an incident
+router.post('/sessions/:id/complete', authenticate, idValidator, validate, asyncHandler(async (req, res) => {
+    const session = await getUploadSession(req.params.id, req.user.id);
+
+    const media = await completeUploadSession(session);
+
+    res.status(201).json({
+        success: true,
+        data: {
+            media: media.id,
+            url: media.url
+        }
+    });
+}));
+
+// Abandon a resumable upload
+router.delete('/sessions/:id', authenticate, idValidator, validate, asyncHandler(async (req, res) => {
+    const session = await getUploadSession(req.params.id, req.user.id);
+
+    await cancelUploadSession(session);
+
+    res.json({
+        success: true,
+        message: 'Upload cancelled'
+    });
+}));
+
+// Get processing status of own uploaded media
+router.get('/media/:id', authenticate, idValidator, validate, asyncHandler(async (req, res) => {
+    const media = await prisma.incidentMedia.findFirst({
+        where: { id: req.params.id, uploaderId: req.user.id },
+        select: {
+            id: true,
+            type: true,
+            url: true,
+            thumbnail: true,
+            duration: true,
+            capturedAt: true,
+            latitude: true,
+            longitude: true,
+            processingStatus: true,
+            processingError: true,
+        },
+    });
+
+    if (!media) {
+        throw new AppError('Media not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: { media }
+    });
+}));
+
+// Avatars are re-encoded to JPEG at most this many px on the longest side
+const AVATAR_SIZE = 512;
+
+// Store an uploaded avatar image. Avatars are public, so like incident media the image is
+// re-encoded without its EXIF data (GPS, device) and only the re-encoded copy is kept.
+async function storeAvatar(file, res) {
+    await checkUploads([file], IMAGE_TYPES);
+
+    const encodedPath = `${file.path}.avatar.jpg`;
+    try {
+        const { size } = await sharp(file.path)
+            .rotate() // Apply EXIF orientation before it is dropped
+            .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 85 })
+            .toFile(encodedPath);
+
+        await fs.promises.rm(file.path, { force: true });
+        Object.assign(file, {
+            path: encodedPath,
+            filename: `${path.parse(file.filename).name}.jpg`,
+            mimetype: 'image/jpeg',
+            size,
+        });
+    } catch (error) {
+        await Promise.all([file.path, encodedPath].map(filePath => fs.promises.rm(filePath, { force: true })));
+        throw new AppError('Unreadable image', 400);
+    }
+
+    const key = `avatars/${file.filename}`;
+    await storeUpload(file, key);
+
+    res.status(201).json({
+        success: true,
+        data: {
+            url: storage.url(key),
+            filename: file.filename
+        }
+    });
+}
+
+// Upload an avatar image (public); save the returned `url` on the profile
+router.post('/avatar', authenticate, upload.single('avatar'), asyncHandler(async (req, res) => {
     if (!req.file) {
         throw new AppError('No file uploaded', 400);
     }
 
-    let url = '';
-    if (req.file.fieldname === 'avatar') {
-        url = `/uploads/avatars/${req.file.filename}`;
-    } else {
-        url = `/uploads/documents/${req.file.filename}`;
+    await storeAvatar(req.file, res);
+}));
+
+// Upload a single document (ID proof) as `file`.
+// Documents are private: the response has a `fileId` to pass on, and `url` is a short-lived
+// signed link, not a permanent one. Avatars sent as `avatar` are still accepted for older
+// app versions and handled like POST /avatar.
+router.post('/single', authenticate, upload.fields([{ name: 'file', maxCount: 1 }, { name: 'avatar', maxCount: 1 }]), asyncHandler(async (req, res) => {
+    const [avatar] = req.files?.avatar || [];
+    const [document] = req.files?.file || [];
+
+    if (avatar && document) {
+        await Promise.all([avatar, document].map(file => fs.promises.rm(file.path, { force: true })));
+        throw new AppError('Upload either a file or an avatar', 400);
+    }
+    if (avatar) {
+        return storeAvatar(avatar, res);
     }
+    if (!document) {
+        throw new AppError('No file uploaded', 400);
+    }
+    req.file = document;
+
+    await checkUploads([req.file], DOCUMENT_TYPES);
+
+    // Documents (ID proofs) are private: pass `fileId` on, `url` is a short-lived signed link
+    const key = `${DOCUMENTS_PREFIX}${req.file.filename}`;
+    await storeUpload(req.file, key);
+
+    const file = await prisma.privateFile.create({
+        data: {
+            key,
+            ownerId: req.user.id,
+            mimeType: req.file.mimetype,
+            size: req.file.size,
+        }
+    });
 
     res.status(201).json({
         success: true,
         data: {
-            url,
+            fileId: file.id,
+            url: await getPrivateFileUrl(file.id, req.user),
             filename: req.file.filename
         }
     });
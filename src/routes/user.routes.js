@@ -2,8 +2,12 @@ import { Router } from 'express';
 import prisma from '../lib/prisma.js';
 import { authenticate } from '../middleware/auth.middleware.js';
 import { asyncHandler, AppError } from '../middleware/error.middleware.js';
-import { paginationValidator } from '../middleware/validators.js';
+import { cursorPaginationValidator, idValidator, analyticsQueryValidator } from '../middleware/validators.js';
 import { validate } from '../middleware/validate.js';
+import { publishUnreadCount } from '../services/notification.service.js';
+import { findOwnedFile, getPrivateFileUrl } from '../services/private-file.service.js';
+import { getIncidentAnalytics } from '../services/engagement.service.js';
+import { getPagination, withUpdatedSince, withCursor, buildPage, cursorOrderBy } from '../utils/pagination.utils.js';
 
 const router = Router();
 
@@ -94,23 +98,21 @@ router.put('/profile', authenticate, asyncHandler(async (req, res) => {
 }));
 
 // Get user's incidents
-router.get('/incidents', authenticate, paginationValidator, validate, asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+router.get('/incidents', authenticate, cursorPaginationValidator, validate, asyncHandler(async (req, res) => {
+    const paging = getPagination(req.query, 10);
     const status = req.query.status;
 
-    const where = {
+    const where = withUpdatedSince({
         publisherId: req.user.id,
         ...(status && { status }),
-    };
+    }, paging.updatedSince);
 
-    const [incidents, total] = await Promise.all([
+    const [rows, total] = await Promise.all([
         prisma.incident.findMany({
-            where,
-            skip,
-            take: limit,
-            orderBy: { createdAt: 'desc' },
+            where: withCursor(where, paging.cursor),
+            skip: paging.skip,
+            take: paging.limit + 1,
+            orderBy: cursorOrderBy,
             include: {
                 media: {
                     select: {
@@ -132,20 +134,39 @@ router.get('/incidents', authenticate, paginationValidator, validate, asyncHandl
         prisma.incident.count({ where }),
     ]);
 
+    const { items: incidents, pagination } = buildPage(rows, total, paging);
+
     res.json({
         success: true,
         data: {
             incidents,
-            pagination: {
-                page,
-                limit,
-                total,
-                totalPages: Math.ceil(total / limit),
-            },
+            pagination,
         },
     });
 }));
 
+// Views and shares over time of one of the user's own incidents
+router.get('/incidents/:id/analytics', authenticate, idValidator, analyticsQueryValidator, validate, asyncHandler(async (req, res) => {
+    const incident = await prisma.incident.findFirst({
+        where: { id: req.params.id, publisherId: req.user.id },
+        select: { id: true, viewCount: true, shareCount: true },
+    });
+
+    if (!incident) {
+        throw new AppError('Incident not found', 404);
+    }
+
+    const analytics = await getIncidentAnalytics(incident, {
+        days: parseInt(req.query.days) || 30,
+        interval: req.query.interval || 'day',
+    });
+
+    res.json({
+        success: true,
+        data: { analytics },
+    });
+}));
+
 // Get public user profile
 router.get('/:id', asyncHandler(async (req, res) => {
     const user = await prisma.user.findUnique({
@@ -201,12 +222,19 @@ router.post('/apply-verified', authenticate, asyncHandler(async (req, res) => {
         throw new AppError('Your verification request is already pending', 400);
     }
 
+    // The image must be a private upload of this user (fileId from /api/upload/single)
+    const idProofFile = await findOwnedFile(String(idProofImage), req.user.id);
+
+    if (!idProofFile) {
+        throw new AppError('ID proof image not found. Please upload it again.', 400);
+    }
+
     await prisma.user.update({
         where: { id: req.user.id },
         data: {
             idProofType,
             idProofNumber,
-            idProofImage,
+            idProofImage: idProofFile.id,
         },
     });
 
@@ -216,36 +244,60 @@ router.post('/apply-verified', authenticate, asyncHandler(async (req, res) => {
     });
 }));
 
+// Get own verification request (ID proof image as a signed, expiring link)
+router.get('/verification', authenticate, asyncHandler(async (req, res) => {
+    const user = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: {
+            role: true,
+            idProofType: true,
+            idProofNumber: true,
+            idProofImage: true,
+            verifiedAt: true,
+        },
+    });
+
+    const { idProofImage, ...verification } = user;
+
+    res.json({
+        success: true,
+        data: {
+            verification: {
+                ...verification,
+                idProofUrl: await getPrivateFileUrl(idProofImage, req.user),
+            },
+        },
+    });
+}));
+
 // Get notifications
-router.get('/notifications/list', authenticate, paginationValidator, validate, asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+router.get('/notifications/list', authenticate, cursorPaginationValidator, validate, asyncHandler(async (req, res) => {
+    const paging = getPagination(req.query, 20);
+
+    // Notifications have no updatedAt; reading one is the only change after creation
+    const where = withUpdatedSince({ userId: req.user.id }, paging.updatedSince, ['createdAt', 'readAt']);
 
-    const [notifications, total, unreadCount] = await Promise.all([
+    const [rows, total, unreadCount] = await Promise.all([
         prisma.notification.findMany({
-            where: { userId: req.user.id },
-            skip,
-            take: limit,
-            orderBy: { createdAt: 'desc' },
+            where: withCursor(where, paging.cursor),
+            skip: paging.skip,
+            take: paging.limit + 1,
+            orderBy: cursorOrderBy,
         }),
-        prisma.notification.count({ where: { userId: req.user.id } }),
+        prisma.notification.count({ where }),
         prisma.notification.count({
             where: { userId: req.user.id, isRead: false },
         }),
     ]);
 
+    const { items: notifications, pagination } = buildPage(rows, total, paging);
+
     res.json({
         success: true,
         data: {
             notifications,
             unreadCount,
-            pagination: {
-                page,
-                limit,
-                total,
-                totalPages: Math.ceil(total / limit),
-            },
+            pagination,
         },
     });
 }));
@@ -271,6 +323,8 @@ router.put('/notifications/:id/read', authenticate, asyncHandler(async (req, res
         },
     });
 
+    await publishUnreadCount(req.user.id);
+
     res.json({
         success: true,
         message: 'Notification marked as read',
@@ -290,6 +344,8 @@ router.put('/notifications/read-all', authenticate, asyncHandler(async (req, res
         },
     });
 
+    await publishUnreadCount(req.user.id);
+
     res.json({
         success: true,
         message: 'All notifications marked as read',
@@ -0,0 +1,89 @@
+import path from 'path';
+import { parseArgs } from 'util';
+import { createStorageDriver } from '../lib/storage/index.js';
+import { basePrisma as prisma } from '../lib/prisma.js';
+
+// Copy every stored file from one storage driver to another.
+// Usage: npm run storage:migrate -- --from local --to s3 [--delete]
+//
+// Media rows hold storage keys, so they keep working once STORAGE_DRIVER points
+// at the new driver. Avatar URLs are stored in full and are rewritten here.
+
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.heic': 'image/heic',
+    '.mp4': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.webm': 'video/webm',
+    '.pdf': 'application/pdf',
+};
+
+const { values } = parseArgs({
+    options: {
+        from: { type: 'string' },
+        to: { type: 'string' },
+        delete: { type: 'boolean', default: false },
+    },
+});
+
+async function main() {
+    if (!values.from || !values.to || values.from === values.to) {
+        throw new Error('Usage: npm run storage:migrate -- --from <local|s3> --to <local|s3> [--delete]');
+    }
+
+    const source = createStorageDriver(values.from);
+    const target = createStorageDriver(values.to);
+
+    console.log(`📦 Moving files from ${source.name} to ${target.name}...`);
+
+    let copied = 0;
+    let skipped = 0;
+
+    for await (const { key, size } of source.list()) {
+        const existing = await target.stat(key);
+
+        if (existing && existing.size === size) {
+            skipped++;
+        } else {
+            await target.put(key, await source.get(key), {
+                contentType: CONTENT_TYPES[path.extname(key).toLowerCase()],
+                contentLength: size,
+            });
+            copied++;
+            console.log(`  ✓ ${key}`);
+        }
+
+        if (values.delete) {
+            await source.delete(key);
+        }
+    }
+
+    // Avatars are saved as full URLs of the old driver
+    const users = await prisma.user.findMany({
+        where: { avatar: { startsWith: source.url('') } },
+        select: { id: true, avatar: true },
+    });
+
+    for (const user of users) {
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { avatar: target.url(user.avatar.slice(source.url('').length)) },
+        });
+    }
+
+    console.log(`✅ Copied ${copied} file(s), ${skipped} already present, ${users.length} avatar URL(s) updated`);
+    console.log(`   Set STORAGE_DRIVER=${values.to} to start using it.`);
+}
+
+main()
+    .catch((error) => {
+        console.error('❌ Storage migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(async () => {
+        await prisma.$disconnect();
+    });
@@ -0,0 +1,241 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../lib/prisma.js';
+
+// Transitions counted in the moderation time series
+const SERIES_STATUSES = { SUBMITTED: 'submitted', VERIFIED: 'verified', REJECTED: 'rejected' };
+
+// Open police response statuses and their field in the station workload
+const OPEN_RESPONSE_FIELDS = {
+    PENDING: 'pending',
+    ACKNOWLEDGED: 'acknowledged',
+    DISPATCHED: 'dispatched',
+    ON_SCENE: 'onScene',
+};
+
+// Percentiles of a duration in hours (`hours` is a trusted SQL expression)
+function durationStats(hours) {
+    return Prisma.sql`
+        count(*)::int AS "count",
+        avg(${hours})::float8 AS "average",
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY ${hours})::float8 AS "p50",
+        percentile_cont(0.9) WITHIN GROUP (ORDER BY ${hours})::float8 AS "p90",
+        percentile_cont(0.95) WITHIN GROUP (ORDER BY ${hours})::float8 AS "p95"
+    `;
+}
+
+function roundStats({ count, average, p50, p90, p95 }) {
+    const round = (hours) => hours === null ? null : Math.round(hours * 100) / 100;
+    return { count, average: round(average), p50: round(p50), p90: round(p90), p95: round(p95) };
+}
+
+function emptyCounts() {
+    return { submitted: 0, verified: 0, rejected: 0 };
+}
+
+/**
+ * Submissions, verifications and rejections per `interval` ('day' or 'week', UTC),
+ * each bucket broken down by category and city. Taken from the status timeline,
+ * so re-submissions after a rejection count as submissions.
+ */
+export async function getModerationTimeSeries({ from, to }, interval) {
+    const bucket = Prisma.raw(interval === 'week' ? `'week'` : `'day'`);
+
+    const rows = await prisma.$queryRaw`
+        SELECT date_trunc(${bucket}, c."createdAt") AS "date",
+            c."toStatus" AS "status",
+            i."category" AS "category",
+            i."city" AS "city",
+            count(*)::int AS "count"
+        FROM "incident_status_changes" c
+        JOIN "incidents" i ON i."id" = c."incidentId"
+        WHERE c."toStatus" IN (${Prisma.join(Object.keys(SERIES_STATUSES))})
+            AND c."createdAt" >= ${from}
+            AND c."createdAt" <= ${to}
+        GROUP BY 1, 2, 3, 4
+        ORDER BY 1
+    `;
+
+    const buckets = new Map();
+    for (const row of rows) {
+        const date = row.date.toISOString();
+        if (!buckets.has(date)) {
+            buckets.set(date, { date, ...emptyCounts(), byCategory: new Map(), byCity: new Map() });
+        }
+
+        const point = buckets.get(date);
+        const field = SERIES_STATUSES[row.status];
+        const category = row.category || 'UNCATEGORIZED';
+        const city = row.city || 'UNKNOWN';
+
+        if (!point.byCategory.has(category)) {
+            point.byCategory.set(category, { category, ...emptyCounts() });
+        }
+        if (!point.byCity.has(city)) {
+            point.byCity.set(city, { city, ...emptyCounts() });
+        }
+
+        point[field] += row.count;
+        point.byCategory.get(category)[field] += row.count;
+        point.byCity.get(city)[field] += row.count;
+    }
+
+    return [...buckets.values()].map(point => ({
+        ...point,
+        byCategory: [...point.byCategory.values()],
+        byCity: [...point.byCity.values()],
+    }));
+}
+
+/**
+ * Hours from submission to the verify/reject decision, per moderator and overall,
+ * for decisions made in the range. Each decision is a row of the status timeline,
+ * so later takedowns, re-submissions or overturned rejections do not hide it.
+ * Submission is the latest submit before the decision, so re-submissions start a new clock.
+ */
+export async function getModeratorResponseTimes({ from, to }) {
+    const decisions = Prisma.sql`
+        SELECT c."actorId" AS "moderatorId",
+            c."toStatus" AS "status",
+            extract(epoch from c."createdAt" - coalesce((
+                SELECT max(s."createdAt") FROM "incident_status_changes" s
+                WHERE s."incidentId" = c."incidentId" AND s."toStatus" = 'SUBMITTED' AND s."createdAt" <= c."createdAt"
+            ), i."createdAt")) / 3600 AS "hours"
+        FROM "incident_status_changes" c
+        JOIN "incidents" i ON i."id" = c."incidentId"
+        WHERE c."toStatus" IN ('VERIFIED', 'REJECTED')
+            AND c."createdAt" >= ${from}
+            AND c."createdAt" <= ${to}
+    `;
+    const hours = Prisma.sql`d."hours"`;
+
+    const [moderators, [overall]] = await Promise.all([
+        prisma.$queryRaw`
+            SELECT d."moderatorId", u."name", u."role",
+                count(*) FILTER (WHERE d."status" = 'VERIFIED')::int AS "verified",
+                count(*) FILTER (WHERE d."status" = 'REJECTED')::int AS "rejected",
+                ${durationStats(hours)}
+            FROM (${decisions}) d
+            LEFT JOIN "users" u ON u."id" = d."moderatorId"
+            GROUP BY d."moderatorId", u."name", u."role"
+            ORDER BY "count" DESC
+        `,
+        prisma.$queryRaw`
+            SELECT ${durationStats(hours)}
+            FROM (${decisions}) d
+        `,
+    ]);
+
+    return {
+        overall: roundStats(overall),
+        moderators: moderators.map(row => ({
+            moderator: { id: row.moderatorId, name: row.name, role: row.role },
+            verified: row.verified,
+            rejected: row.rejected,
+            hours: roundStats(row),
+        })),
+    };
+}
+
+/**
+ * Police station workload: incidents still open now (any age) by response status,
+ * plus verified incidents reported and incidents closed in the range. Busiest stations first.
+ */
+export async function getStationWorkload({ from, to }) {
+    const [open, reported, closed] = await Promise.all([
+        prisma.incident.groupBy({
+            by: ['policeStationId', 'responseStatus'],
+            where: {
+                status: 'VERIFIED',
+                policeStationId: { not: null },
+                responseStatus: { not: 'CLOSED' },
+            },
+            _count: { id: true },
+        }),
+        prisma.incident.groupBy({
+            by: ['policeStationId'],
+            where: {
+                status: 'VERIFIED',
+                policeStationId: { not: null },
+                createdAt: { gte: from, lte: to },
+            },
+            _count: { id: true },
+        }),
+        prisma.incidentResponseUpdate.groupBy({
+            by: ['policeStationId'],
+            where: {
+                toStatus: 'CLOSED',
+                createdAt: { gte: from, lte: to },
+            },
+            _count: { id: true },
+        }),
+    ]);
+
+    const stationIds = new Set([...open, ...reported, ...closed].map(group => group.policeStationId));
+    const stations = await prisma.policeStation.findMany({
+        where: { id: { in: [...stationIds] } },
+        select: { id: true, name: true, city: true },
+    });
+
+    const workload = new Map(stations.map(station => [station.id, {
+        station,
+        open: 0,
+        ...Object.fromEntries(Object.values(OPEN_RESPONSE_FIELDS).map(field => [field, 0])),
+        reported: 0,
+        closed: 0,
+    }]));
+
+    for (const group of open) {
+        const entry = workload.get(group.policeStationId);
+        if (entry) {
+            entry[OPEN_RESPONSE_FIELDS[group.responseStatus]] = group._count.id;
+            entry.open += group._count.id;
+        }
+    }
+    for (const [field, groups] of [['reported', reported], ['closed', closed]]) {
+        for (const group of groups) {
+            const entry = workload.get(group.policeStationId);
+            if (entry) {
+                entry[field] = group._count.id;
+            }
+        }
+    }
+
+    return [...workload.values()].sort((a, b) => b.open - a.open || b.reported - a.reported);
+}
+
+/**
+ * Hours from a user report to its review, for reports reviewed in the range, overall
+ * and per outcome; plus the current backlog of pending reports.
+ */
+export async function getReportResolutionTimes({ from, to }) {
+    const hours = Prisma.sql`extract(epoch from r."reviewedAt" - r."createdAt") / 3600`;
+    const reviewed = Prisma.sql`r."reviewedAt" IS NOT NULL AND r."reviewedAt" >= ${from} AND r."reviewedAt" <= ${to}`;
+
+    const [[overall], byStatus, pending, oldestPending] = await Promise.all([
+        prisma.$queryRaw`
+            SELECT ${durationStats(hours)}
+            FROM "reports" r
+            WHERE ${reviewed}
+        `,
+        prisma.$queryRaw`
+            SELECT r."status", ${durationStats(hours)}
+            FROM "reports" r
+            WHERE ${reviewed}
+            GROUP BY r."status"
+            ORDER BY "count" DESC
+        `,
+        prisma.report.count({ where: { status: 'PENDING' } }),
+        prisma.report.findFirst({
+            where: { status: 'PENDING' },
+            orderBy: { createdAt: 'asc' },
+            select: { createdAt: true },
+        }),
+    ]);
+
+    return {
+        overall: roundStats(overall),
+        byStatus: byStatus.map(row => ({ status: row.status, hours: roundStats(row) })),
+        pending,
+        oldestPendingAt: oldestPending?.createdAt || null,
+    };
+}
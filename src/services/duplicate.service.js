@@ -0,0 +1,218 @@
+import prisma from '../lib/prisma.js';
+import { calculateDistance, getBoundingBox } from '../utils/location.utils.js';
+
+const DUPLICATE_RADIUS_KM = 1;
+const DUPLICATE_TIME_WINDOW = 2 * 60 * 60 * 1000; // 2 hours either side of the incident time
+const DUPLICATE_SCORE_THRESHOLD = 0.5;
+
+// Weights of the duplicate score (category must match exactly)
+const WEIGHTS = { distance: 0.4, time: 0.3, text: 0.3 };
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'near', 'with', 'from', 'this', 'that', 'are', 'was', 'has', 'have',
+    'been', 'there', 'here', 'at', 'in', 'on', 'of', 'to', 'is', 'a', 'an',
+]);
+
+// Statuses a new report can be a duplicate of
+const CLUSTERABLE_STATUSES = ['SUBMITTED', 'UNDER_REVIEW', 'VERIFIED'];
+
+function tokenize(text) {
+    return new Set(
+        (text || '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    );
+}
+
+/**
+ * Jaccard similarity of the words in two texts (0..1)
+ */
+export function textSimilarity(a, b) {
+    const wordsA = tokenize(a);
+    const wordsB = tokenize(b);
+
+    if (wordsA.size === 0 || wordsB.size === 0) {
+        return 0;
+    }
+
+    let shared = 0;
+    for (const word of wordsA) {
+        if (wordsB.has(word)) {
+            shared++;
+        }
+    }
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * How likely `candidate` reports the same event as `incident` (0..1)
+ */
+export function scoreDuplicate(incident, candidate) {
+    const distance = calculateDistance(incident.latitude, incident.longitude, candidate.latitude, candidate.longitude);
+    const timeGap = Math.abs(new Date(incident.incidentTime) - new Date(candidate.incidentTime));
+    const text = textSimilarity(
+        `${incident.title} ${incident.description}`,
+        `${candidate.title} ${candidate.description}`
+    );
+
+    const score = WEIGHTS.distance * Math.max(0, 1 - distance / DUPLICATE_RADIUS_KM)
+        + WEIGHTS.time * Math.max(0, 1 - timeGap / DUPLICATE_TIME_WINDOW)
+        + WEIGHTS.text * text;
+
+    return { score, distance };
+}
+
+/**
+ * Likely duplicates of an incident, best match first
+ */
+export async function findDuplicates(incident) {
+    const box = getBoundingBox(incident.latitude, incident.longitude, DUPLICATE_RADIUS_KM);
+    const time = new Date(incident.incidentTime).getTime();
+
+    const candidates = await prisma.incident.findMany({
+        where: {
+            id: { not: incident.id },
+            category: incident.category,
+            status: { in: CLUSTERABLE_STATUSES },
+            latitude: { gte: box.minLat, lte: box.maxLat },
+            longitude: { gte: box.minLng, lte: box.maxLng },
+            incidentTime: {
+                gte: new Date(time - DUPLICATE_TIME_WINDOW),
+                lte: new Date(time + DUPLICATE_TIME_WINDOW),
+            },
+        },
+        select: {
+            id: true,
+            title: true,
+            description: true,
+            latitude: true,
+            longitude: true,
+            incidentTime: true,
+            clusterId: true,
+        },
+    });
+
+    return candidates
+        .map(candidate => ({ incident: candidate, ...scoreDuplicate(incident, candidate) }))
+        .filter(match => match.distance <= DUPLICATE_RADIUS_KM && match.score >= DUPLICATE_SCORE_THRESHOLD)
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Link a newly submitted incident into the cluster of its best duplicate match.
+ * Returns null when no likely duplicate exists.
+ */
+export async function clusterIncident(incident) {
+    const [best] = await findDuplicates(incident);
+
+    if (!best) {
+        return null;
+    }
+
+    let clusterId = best.incident.clusterId;
+
+    if (!clusterId) {
+        const cluster = await prisma.incidentCluster.create({
+            data: {
+                category: incident.category,
+                latitude: best.incident.latitude,
+                longitude: best.incident.longitude,
+                firstReportedAt: best.incident.incidentTime,
+                lastReportedAt: best.incident.incidentTime,
+            },
+        });
+        clusterId = cluster.id;
+
+        await prisma.incident.update({
+            where: { id: best.incident.id },
+            data: { clusterId },
+        });
+    }
+
+    await prisma.incident.update({
+        where: { id: incident.id },
+        data: {
+            clusterId,
+            isClusterPrimary: false,
+            duplicateScore: Math.round(best.score * 100) / 100,
+        },
+    });
+
+    await refreshCluster(clusterId);
+
+    return { clusterId, duplicateOf: best.incident.id, score: best.score };
+}
+
+/**
+ * Recompute a cluster's centroid, time span and primary report.
+ * The primary is the earliest verified report, or the earliest report if none is verified yet.
+ * A cluster left with a single report is dissolved.
+ */
+export async function refreshCluster(clusterId) {
+    const incidents = await prisma.incident.findMany({
+        where: { clusterId },
+        orderBy: { createdAt: 'asc' },
+        select: {
+            id: true,
+            status: true,
+            latitude: true,
+            longitude: true,
+            incidentTime: true,
+            isClusterPrimary: true,
+        },
+    });
+
+    if (incidents.length <= 1) {
+        await prisma.$transaction([
+            prisma.incident.updateMany({
+                where: { clusterId },
+                data: { clusterId: null, isClusterPrimary: true, duplicateScore: null },
+            }),
+            prisma.incidentCluster.deleteMany({ where: { id: clusterId } }),
+        ]);
+        return;
+    }
+
+    const primary = incidents.find(incident => incident.status === 'VERIFIED') || incidents[0];
+    const times = incidents.map(incident => incident.incidentTime.getTime());
+
+    await prisma.$transaction([
+        prisma.incident.updateMany({
+            where: { clusterId, isClusterPrimary: true, id: { not: primary.id } },
+            data: { isClusterPrimary: false },
+        }),
+        prisma.incident.updateMany({
+            where: { id: primary.id, isClusterPrimary: false },
+            data: { isClusterPrimary: true },
+        }),
+        prisma.incidentCluster.update({
+            where: { id: clusterId },
+            data: {
+                latitude: incidents.reduce((sum, incident) => sum + incident.latitude, 0) / incidents.length,
+                longitude: incidents.reduce((sum, incident) => sum + incident.longitude, 0) / incidents.length,
+                firstReportedAt: new Date(Math.min(...times)),
+                lastReportedAt: new Date(Math.max(...times)),
+            },
+        }),
+    ]);
+}
+
+/**
+ * Other verified reports of the same event, shown as a corroboration count on feed cards
+ */
+export async function getClusterCorroborations(incidents) {
+    const clusterIds = [...new Set(incidents.map(incident => incident.clusterId).filter(Boolean))];
+
+    if (clusterIds.length === 0) {
+        return new Map();
+    }
+
+    const counts = await prisma.incident.groupBy({
+        by: ['clusterId'],
+        where: { clusterId: { in: clusterIds }, status: 'VERIFIED' },
+        _count: { id: true },
+    });
+
+    return new Map(counts.map(row => [row.clusterId, Math.max(row._count.id - 1, 0)]));
+}
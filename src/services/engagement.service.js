@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import { Prisma } from '@prisma/client';
+import prisma from '../lib/prisma.js';
+import { config } from '../config/index.js';
+
+// Counter columns of `incidents` an interaction increments
+const COUNTERS = {
+    viewCount: Prisma.raw('"viewCount"'),
+    shareCount: Prisma.raw('"shareCount"'),
+};
+
+// A viewer counts once per incident in each of these windows
+const VIEW_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+const SHARE_WINDOW = 24 * 60 * 60 * 1000; // 24 hours, per channel
+
+/**
+ * Who is viewing or sharing: the signed-in user, or an anonymous visitor by IP address.
+ * With `perDevice`, the app's install ID (X-Device-Id) tells apart devices behind one IP;
+ * it is sent by the client, so it is only used where an inflated count matters less (views).
+ * Only a keyed hash of the network details is stored.
+ */
+export function getViewerKey(req, { perDevice = false } = {}) {
+    if (req.user) {
+        return `user:${req.user.id}`;
+    }
+
+    const device = perDevice ? [req.ip, req.get('X-Device-Id') || ''].join('|') : req.ip;
+    return `${perDevice ? 'device' : 'ip'}:${crypto.createHmac('sha256', config.jwtSecret).update(device).digest('hex').slice(0, 32)}`;
+}
+
+// Record an interaction unless the viewer already has one in the current `window`
+// (fixed windows since the epoch); true if recorded. The unique dedupe key makes the
+// check and the insert one step, so parallel requests from one viewer count once.
+async function recordInteraction(incidentId, { type, viewerKey, channel = null }, window, counter) {
+    const dedupeKey = [type, viewerKey, channel || '', Math.floor(Date.now() / window)].join(':');
+
+    return prisma.$transaction(async (tx) => {
+        const { count } = await tx.incidentInteraction.createMany({
+            data: [{ incidentId, type, viewerKey, channel, dedupeKey }],
+            skipDuplicates: true,
+        });
+
+        if (count === 0) {
+            return false;
+        }
+
+        // Raw, so `updatedAt` is left alone: a view is not a change for delta sync
+        await tx.$executeRaw`
+            UPDATE "incidents" SET ${COUNTERS[counter]} = ${COUNTERS[counter]} + 1
+            WHERE "id" = ${incidentId}
+        `;
+        return true;
+    });
+}
+
+/**
+ * Count a view of a published incident. The publisher's own views are not counted.
+ */
+export async function recordView(incident, req) {
+    if (incident.status !== 'VERIFIED' || req.user?.id === incident.publisherId) {
+        return false;
+    }
+
+    return recordInteraction(incident.id, { type: 'VIEW', viewerKey: getViewerKey(req, { perDevice: true }) }, VIEW_WINDOW, 'viewCount');
+}
+
+/**
+ * Count a share of an incident to `channel`. Anonymous shares count once per IP address,
+ * whatever device headers are sent.
+ */
+export async function recordShare(incident, req, channel) {
+    return recordInteraction(incident.id, { type: 'SHARE', viewerKey: getViewerKey(req), channel }, SHARE_WINDOW, 'shareCount');
+}
+
+/**
+ * Views and shares of an incident over the last `days`, bucketed by `interval`
+ * ('day' or 'hour', UTC). Buckets without activity are included with zeros.
+ */
+export async function getIncidentAnalytics(incident, { days = 30, interval = 'day' } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const bucket = Prisma.raw(interval === 'hour' ? `'hour'` : `'day'`);
+
+    const [series, [unique], channels] = await Promise.all([
+        prisma.$queryRaw`
+            SELECT date_trunc(${bucket}, "createdAt") AS "bucket",
+                count(*) FILTER (WHERE "type" = 'VIEW')::int AS "views",
+                count(*) FILTER (WHERE "type" = 'SHARE')::int AS "shares"
+            FROM "incident_interactions"
+            WHERE "incidentId" = ${incident.id} AND "createdAt" >= ${since}
+            GROUP BY 1
+            ORDER BY 1
+        `,
+        prisma.$queryRaw`
+            SELECT count(DISTINCT "viewerKey") FILTER (WHERE "type" = 'VIEW')::int AS "viewers",
+                count(DISTINCT "viewerKey") FILTER (WHERE "type" = 'SHARE')::int AS "sharers"
+            FROM "incident_interactions"
+            WHERE "incidentId" = ${incident.id} AND "createdAt" >= ${since}
+        `,
+        prisma.incidentInteraction.groupBy({
+            by: ['channel'],
+            where: { incidentId: incident.id, type: 'SHARE', createdAt: { gte: since } },
+            _count: { id: true },
+            orderBy: { _count: { id: 'desc' } },
+        }),
+    ]);
+
+    // Fill the gaps so charts get one point per bucket
+    const step = interval === 'hour' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+    const counts = new Map(series.map(row => [row.bucket.getTime(), row]));
+    const timeline = [];
+    for (let time = Math.floor(since.getTime() / step) * step; time <= Date.now(); time += step) {
+        const row = counts.get(time);
+        timeline.push({
+            date: new Date(time),
+            views: row?.views || 0,
+            shares: row?.shares || 0,
+        });
+    }
+
+    return {
+        totals: {
+            views: incident.viewCount,
+            shares: incident.shareCount,
+        },
+        period: {
+            since,
+            interval,
+            views: timeline.reduce((sum, point) => sum + point.views, 0),
+            uniqueViewers: unique.viewers,
+            shares: timeline.reduce((sum, point) => sum + point.shares, 0),
+            uniqueSharers: unique.sharers,
+            sharesByChannel: channels.map(row => ({ channel: row.channel, count: row._count.id })),
+        },
+        timeline,
+    };
+}
@@ -117,4 +117,33 @@ export async function sendNotificationToToken(fcmToken, title, message, data = {
     }
 }
 
+// FCM error codes meaning the token will never work again
+const INVALID_TOKEN_CODES = [
+    'messaging/registration-token-not-registered',
+    'messaging/invalid-registration-token',
+];
+
+/**
+ * Push transport for the notification dispatcher
+ * Sends to a list of device tokens and reports the ones FCM rejected as invalid
+ */
+export const firebaseTransport = {
+    async send(tokens, { title, body, data = {} }) {
+        const response = await messaging.sendEachForMulticast({
+            tokens,
+            notification: {
+                title,
+                body,
+            },
+            data,
+        });
+
+        const invalidTokens = response.responses
+            .map((result, index) => (!result.success && INVALID_TOKEN_CODES.includes(result.error?.code) ? tokens[index] : null))
+            .filter(Boolean);
+
+        return { successCount: response.successCount, invalidTokens };
+    },
+};
+
 export default admin;
@@ -0,0 +1,108 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../lib/prisma.js';
+
+// Cells are a quarter of a 256px map tile wide at the requested zoom
+const CELLS_PER_TILE = 4;
+
+const INTERVALS = ['hour', 'day', 'week', 'month'];
+
+// Most grid cells a bounding box may span at the requested zoom
+export const MAX_GRID_CELLS = 4096;
+
+// Most (cell, category, bucket) rows read per request; beyond this the result is truncated
+const MAX_ROWS = 20000;
+
+/**
+ * Size of a grid cell in degrees at a map zoom level (0 = whole world in one tile)
+ */
+export function cellSize(zoom) {
+    return 360 / 2 ** zoom / CELLS_PER_TILE;
+}
+
+/**
+ * Number of grid cells `box` spans at `zoom`
+ */
+export function gridCellCount(box, zoom) {
+    const size = cellSize(zoom);
+    const rows = Math.floor(box.maxLat / size) - Math.floor(box.minLat / size) + 1;
+    const cols = Math.floor(box.maxLng / size) - Math.floor(box.minLng / size) + 1;
+    return rows * cols;
+}
+
+/**
+ * Verified incidents inside `box` grouped into grid cells sized for `zoom`.
+ * Each cell reports its bounds, the centroid of its incidents and counts per
+ * category and per time bucket (`interval`, UTC). Cells without incidents are omitted.
+ * Callers keep the grid within MAX_GRID_CELLS; `truncated` is set if MAX_ROWS was reached.
+ */
+export async function aggregateIncidents({ box, zoom, from, to, category, interval = 'day' }) {
+    const size = cellSize(zoom);
+    const bucket = Prisma.raw(`'${INTERVALS.includes(interval) ? interval : 'day'}'`);
+
+    // Duplicate reports of one event are counted once, like in the feed
+    const rows = await prisma.$queryRaw`
+        SELECT floor(i."latitude" / ${size}::float8)::int AS "row",
+            floor(i."longitude" / ${size}::float8)::int AS "col",
+            i."category" AS "category",
+            date_trunc(${bucket}, i."createdAt") AS "bucket",
+            count(*)::int AS "count",
+            sum(i."latitude")::float8 AS "sumLat",
+            sum(i."longitude")::float8 AS "sumLng"
+        FROM "incidents" i
+        WHERE i."status" = 'VERIFIED'
+            AND i."isClusterPrimary" = true
+            AND i."latitude" BETWEEN ${box.minLat} AND ${box.maxLat}
+            AND i."longitude" BETWEEN ${box.minLng} AND ${box.maxLng}
+            AND i."createdAt" >= ${from}
+            AND i."createdAt" <= ${to}
+            ${category ? Prisma.sql`AND i."category" = ${category}` : Prisma.empty}
+        GROUP BY 1, 2, 3, 4
+        ORDER BY 1, 2, 3, 4
+        LIMIT ${MAX_ROWS + 1}
+    `;
+    const truncated = rows.length > MAX_ROWS;
+
+    const cells = new Map();
+    for (const row of rows.slice(0, MAX_ROWS)) {
+        const id = `${zoom}:${row.row}:${row.col}`;
+        let cell = cells.get(id);
+
+        if (!cell) {
+            cell = {
+                id,
+                bounds: {
+                    minLat: row.row * size,
+                    maxLat: (row.row + 1) * size,
+                    minLng: row.col * size,
+                    maxLng: (row.col + 1) * size,
+                },
+                count: 0,
+                sumLat: 0,
+                sumLng: 0,
+                categories: {},
+                buckets: new Map(),
+            };
+            cells.set(id, cell);
+        }
+
+        const key = row.bucket.toISOString();
+        cell.count += row.count;
+        cell.sumLat += row.sumLat;
+        cell.sumLng += row.sumLng;
+        cell.categories[row.category] = (cell.categories[row.category] || 0) + row.count;
+        cell.buckets.set(key, (cell.buckets.get(key) || 0) + row.count);
+    }
+
+    const result = [...cells.values()]
+        .map(({ sumLat, sumLng, buckets, ...cell }) => ({
+            ...cell,
+            latitude: sumLat / cell.count,
+            longitude: sumLng / cell.count,
+            buckets: [...buckets]
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([start, count]) => ({ start, count })),
+        }))
+        .sort((a, b) => b.count - a.count);
+
+    return { cells: result, truncated };
+}
@@ -0,0 +1,94 @@
+import prisma from '../lib/prisma.js';
+import { publishIncidentStatus } from '../lib/event-bus.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { assertTransition } from '../utils/incident-state.utils.js';
+import { refreshCluster } from './duplicate.service.js';
+
+/**
+ * Change an incident's status and record the transition in its timeline.
+ * The move is checked against the transition table; `data` holds any other
+ * incident fields to update together with the status.
+ */
+export async function changeIncidentStatus(incident, toStatus, { actor, note = null, data = {}, include }) {
+    assertTransition(incident, toStatus, actor);
+
+    let updated;
+    try {
+        [updated] = await prisma.$transaction([
+            // Only applies if nobody changed the status since it was read
+            prisma.incident.update({
+                where: { id: incident.id, status: incident.status },
+                data: { ...data, status: toStatus },
+                ...(include && { include }),
+            }),
+            prisma.incidentStatusChange.create({
+                data: {
+                    incidentId: incident.id,
+                    actorId: actor.id,
+                    actorRole: actor.role,
+                    fromStatus: incident.status,
+                    toStatus,
+                    note,
+                },
+            }),
+        ]);
+    } catch (error) {
+        if (error.code === 'P2025') {
+            throw new AppError('Incident status was changed by someone else. Please reload and try again.', 409);
+        }
+        throw error;
+    }
+
+    // The cluster's primary report depends on which reports are verified
+    if (updated.clusterId) {
+        await refreshCluster(updated.clusterId);
+    }
+
+    publishIncidentStatus(updated, incident.status);
+
+    return updated;
+}
+
+/**
+ * Record the initial status of a newly created incident
+ */
+export async function recordInitialStatus(incident, actor) {
+    await prisma.incidentStatusChange.create({
+        data: {
+            incidentId: incident.id,
+            actorId: actor.id,
+            actorRole: actor.role,
+            fromStatus: null,
+            toStatus: incident.status,
+        },
+    });
+
+    publishIncidentStatus(incident, null);
+}
+
+/**
+ * Timeline of an incident. The public view hides who made each change and,
+ * unless `includeNotes` is set (publisher), the notes. `full` is for admins/moderators.
+ */
+export async function getIncidentTimeline(incidentId, { full = false, includeNotes = full } = {}) {
+    const changes = await prisma.incidentStatusChange.findMany({
+        where: { incidentId },
+        orderBy: { createdAt: 'asc' },
+        include: full
+            ? { actor: { select: { id: true, name: true, role: true } } }
+            : undefined,
+    });
+
+    if (full) {
+        return changes;
+    }
+
+    return changes.map(change => ({
+        id: change.id,
+        fromStatus: change.fromStatus,
+        toStatus: change.toStatus,
+        actorRole: change.actorRole,
+        ...(includeNotes && { note: change.note }),
+        createdAt: change.createdAt,
+    }));
+}
@@ -0,0 +1,164 @@
+import path from 'path';
+import { basePrisma as prisma } from '../lib/prisma.js';
+import { storage, INCOMING_PREFIX } from '../lib/storage/index.js';
+import { config } from '../config/index.js';
+import { cleanupExpiredUploadSessions } from './upload-session.service.js';
+
+// Storage prefixes holding incident media (avatars and private documents are not swept)
+const MEDIA_PREFIXES = [INCOMING_PREFIX, 'images/', 'videos/', 'thumbnails/'];
+
+// Only files named by the upload routes are swept; older files under the same
+// prefixes may be referenced in ways the sweeper cannot see and are left alone
+const SWEPT_NAME_PREFIX = 'media-';
+
+// Last `<prefix>/<file>` of a stored reference, so rows holding a full URL
+// ("https://host/uploads/images/x.jpg") match the key "images/x.jpg"
+const REFERENCE_KEY_PATTERN = `(?:^|/)((?:${MEDIA_PREFIXES.map(prefix => prefix.replace(/\/$/, '')).join('|')})/[^/]+)$`;
+
+// Stored files are checked against the database in batches
+const REFERENCE_BATCH_SIZE = 500;
+
+// Storage keys of a media row (file and thumbnail; videos without a poster share one)
+function mediaKeys(media) {
+    return [...new Set([media.url, media.thumbnail].filter(Boolean))];
+}
+
+/**
+ * Delete the stored files of media rows (raw keys, from basePrisma).
+ * Failures are logged; the sweeper retries stray files later.
+ */
+export async function deleteStoredMedia(mediaList) {
+    for (const media of mediaList) {
+        for (const key of mediaKeys(media)) {
+            await storage.delete(key).catch(error => {
+                console.error(`Failed to delete stored file ${key}:`, error);
+            });
+        }
+    }
+}
+
+// Stored files in `objects` that no media row points to
+async function filterUnreferenced(objects) {
+    if (objects.length === 0) {
+        return [];
+    }
+
+    const keys = objects.map(object => object.key);
+    const rows = await prisma.$queryRaw`
+        SELECT k."key"
+        FROM (
+            SELECT substring(m."url" from ${REFERENCE_KEY_PATTERN}) AS "key" FROM "incident_media" m
+            UNION
+            SELECT substring(m."thumbnail" from ${REFERENCE_KEY_PATTERN}) FROM "incident_media" m
+        ) k
+        WHERE k."key" = ANY(${keys}::text[])
+    `;
+    const referenced = new Set(rows.map(row => row.key));
+
+    return objects.filter(object => !referenced.has(object.key));
+}
+
+// Files older than `cutoff` left behind by deleted incidents or failed requests
+async function findStrayFiles(cutoff) {
+    const stray = [];
+
+    for (const prefix of MEDIA_PREFIXES) {
+        let batch = [];
+
+        for await (const object of storage.list(prefix)) {
+            if (object.lastModified >= cutoff || !path.posix.basename(object.key).startsWith(SWEPT_NAME_PREFIX)) {
+                continue;
+            }
+
+            batch.push(object);
+            if (batch.length === REFERENCE_BATCH_SIZE) {
+                stray.push(...await filterUnreferenced(batch));
+                batch = [];
+            }
+        }
+
+        stray.push(...await filterUnreferenced(batch));
+    }
+
+    return stray;
+}
+
+/**
+ * Remove uploads never attached to an incident and stored media-* files no media
+ * row points to, once they are older than the grace period.
+ * With `dryRun` nothing is deleted; the report lists what would be.
+ */
+export async function sweepOrphanedMedia({ dryRun = false } = {}) {
+    const cutoff = new Date(Date.now() - config.mediaGcGraceHours * 60 * 60 * 1000);
+
+    const orphanedMedia = await prisma.incidentMedia.findMany({
+        where: {
+            incidentId: null,
+            createdAt: { lt: cutoff },
+        },
+        select: { id: true, url: true, thumbnail: true, size: true, processingStatus: true, createdAt: true },
+    });
+    const strayFiles = await findStrayFiles(cutoff);
+
+    const report = {
+        dryRun,
+        cutoff,
+        orphanedMedia,
+        strayFiles: strayFiles.map(file => file.key),
+        bytes: orphanedMedia.reduce((sum, media) => sum + media.size, 0)
+            + strayFiles.reduce((sum, file) => sum + file.size, 0),
+    };
+
+    if (dryRun) {
+        return report;
+    }
+
+    if (orphanedMedia.length > 0) {
+        const ids = orphanedMedia.map(media => media.id);
+
+        // Media attached since the scan is kept
+        await prisma.incidentMedia.deleteMany({
+            where: { id: { in: ids }, incidentId: null },
+        });
+        const kept = new Set((await prisma.incidentMedia.findMany({
+            where: { id: { in: ids } },
+            select: { id: true },
+        })).map(media => media.id));
+
+        await deleteStoredMedia(orphanedMedia.filter(media => !kept.has(media.id)));
+    }
+
+    for (const file of strayFiles) {
+        await storage.delete(file.key).catch(error => {
+            console.error(`Failed to delete stored file ${file.key}:`, error);
+        });
+    }
+
+    return report;
+}
+
+/**
+ * Run the sweeper every `config.mediaGcIntervalHours`.
+ * Expired resumable upload sessions are cleaned up on the same schedule.
+ */
+export function startMediaSweeper() {
+    if (!config.mediaGcIntervalHours) {
+        return;
+    }
+
+    setInterval(() => {
+        sweepOrphanedMedia()
+            .then(report => {
+                if (report.orphanedMedia.length > 0 || report.strayFiles.length > 0) {
+                    console.log(`Media sweeper removed ${report.orphanedMedia.length} upload(s) and ${report.strayFiles.length} stray file(s)`);
+                }
+            })
+            .catch(error => {
+                console.error('Media sweeper failed:', error);
+            });
+
+        cleanupExpiredUploadSessions().catch(error => {
+            console.error('Upload session cleanup failed:', error);
+        });
+    }, config.mediaGcIntervalHours * 60 * 60 * 1000);
+}
@@ -0,0 +1,193 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import sharp from 'sharp';
+import { basePrisma as prisma } from '../lib/prisma.js';
+import { storage } from '../lib/storage/index.js';
+import { config } from '../config/index.js';
+import { readImageMetadata, probeVideo, extractPosterFrame, stripVideoMetadata } from '../utils/media.utils.js';
+
+// Uploads are processed one at a time in the background so requests return immediately
+let queue = Promise.resolve();
+
+// Raised for files that must not be used (too long, unreadable)
+class MediaRejectedError extends Error {}
+
+async function processImage(media, filePath, thumbnailPath) {
+    try {
+        await sharp(filePath)
+            .rotate() // Apply EXIF orientation
+            .resize(config.thumbnailSize, config.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 75 })
+            .toFile(thumbnailPath);
+    } catch (error) {
+        throw new MediaRejectedError(`Unreadable image: ${error.message}`);
+    }
+
+    const metadata = await readImageMetadata(filePath);
+
+    // Uploads are public: re-encode without EXIF (device, GPS) once it has been read.
+    // sharp drops all metadata unless asked to keep it.
+    const stripped = await sharp(filePath).rotate().toBuffer();
+    await fsp.writeFile(filePath, stripped);
+
+    return { data: withMetadata(metadata), hasThumbnail: true };
+}
+
+async function processVideo(media, filePath, thumbnailPath) {
+    let metadata;
+    try {
+        metadata = await probeVideo(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            // ffprobe is not installed: the raw upload would be published with its
+            // location/device tags and unchecked length, so it is not used at all
+            throw new MediaRejectedError('Video processing is unavailable');
+        }
+        throw new MediaRejectedError('Unreadable video');
+    }
+
+    if (metadata.duration === null) {
+        throw new MediaRejectedError('Unreadable video');
+    }
+
+    if (metadata.duration > config.maxVideoDuration) {
+        throw new MediaRejectedError(`Video is longer than ${config.maxVideoDuration} seconds`);
+    }
+
+    let hasThumbnail = false;
+    try {
+        await extractPosterFrame(filePath, thumbnailPath, config.thumbnailSize);
+        hasThumbnail = true;
+    } catch (error) {
+        console.warn(`Poster frame failed for ${media.id}:`, error.message);
+    }
+
+    // Same as images: drop the location/device tags from the public file
+    try {
+        await stripVideoMetadata(filePath);
+    } catch (error) {
+        throw new MediaRejectedError(`Video metadata could not be removed: ${error.message}`);
+    }
+
+    return {
+        data: { duration: metadata.duration, ...withMetadata(metadata) },
+        hasThumbnail,
+    };
+}
+
+// Only overwrite the metadata columns with values that were actually found
+function withMetadata({ capturedAt, latitude, longitude }) {
+    return {
+        ...(capturedAt && { capturedAt }),
+        ...(latitude !== null && longitude !== null && { latitude, longitude }),
+    };
+}
+
+/**
+ * Create thumbnails and read duration/capture metadata of an uploaded file, then
+ * publish it from incoming/ to images/ or videos/.
+ * Files that are rejected or fail to process are removed and detached so they
+ * never show on an incident.
+ */
+export async function processMedia(mediaId) {
+    const media = await prisma.incidentMedia.findUnique({
+        where: { id: mediaId },
+    });
+
+    if (!media || media.processingStatus !== 'PENDING') {
+        return;
+    }
+
+    // sharp and ffmpeg need local files, whichever storage driver is active
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'spot-media-'));
+    const { name, ext } = path.posix.parse(media.url);
+    const filePath = path.join(workDir, `${name}${ext}`);
+    const thumbnailPath = path.join(workDir, `${name}.thumbnail.jpg`);
+    const published = [];
+
+    try {
+        await pipeline(await storage.get(media.url), fs.createWriteStream(filePath));
+
+        const { data, hasThumbnail } = media.type === 'VIDEO'
+            ? await processVideo(media, filePath, thumbnailPath)
+            : await processImage(media, filePath, thumbnailPath);
+
+        const key = `${media.type === 'VIDEO' ? 'videos' : 'images'}/${name}${ext}`;
+        const thumbnailKey = hasThumbnail ? `thumbnails/${name}.jpg` : key;
+        const { size } = await fsp.stat(filePath);
+
+        published.push(key);
+        await storage.put(key, fs.createReadStream(filePath), { contentType: media.mimeType, contentLength: size });
+        if (hasThumbnail) {
+            published.push(thumbnailKey);
+            await storage.put(thumbnailKey, await fsp.readFile(thumbnailPath), { contentType: 'image/jpeg' });
+        }
+
+        await prisma.incidentMedia.update({
+            where: { id: media.id },
+            data: {
+                ...data,
+                url: key,
+                thumbnail: thumbnailKey,
+                size,
+                processingStatus: 'READY',
+                processingError: null,
+            },
+        });
+
+        if (key !== media.url) {
+            await storage.delete(media.url).catch(error => {
+                console.error(`Could not delete ${media.url}:`, error);
+            });
+        }
+    } catch (error) {
+        // Any failure leaves the upload unusable: it is marked FAILED and nothing of it
+        // is kept, so it neither stays PENDING nor lingers in incoming/
+        if (!(error instanceof MediaRejectedError)) {
+            console.error(`Media processing failed for ${media.id}:`, error);
+        }
+
+        await Promise.all([media.url, ...published].map(key => storage.delete(key).catch(deleteError => {
+            console.error(`Could not delete ${key}:`, deleteError);
+        })));
+
+        await prisma.incidentMedia.update({
+            where: { id: media.id },
+            data: {
+                processingStatus: 'FAILED',
+                processingError: error instanceof MediaRejectedError ? error.message : 'Processing failed',
+                incidentId: null,
+            },
+        });
+    } finally {
+        await fsp.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Queue uploaded media for background processing
+ */
+export function enqueueMediaProcessing(mediaIds) {
+    for (const mediaId of mediaIds) {
+        queue = queue
+            .then(() => processMedia(mediaId))
+            .catch(error => {
+                console.error(`Media processing failed for ${mediaId}:`, error);
+            });
+    }
+}
+
+/**
+ * Re-queue media left unprocessed by a restart
+ */
+export async function resumeMediaProcessing() {
+    const pending = await prisma.incidentMedia.findMany({
+        where: { processingStatus: 'PENDING' },
+        select: { id: true },
+    });
+
+    enqueueMediaProcessing(pending.map(media => media.id));
+}
@@ -0,0 +1,147 @@
+import prisma from '../lib/prisma.js';
+import { publishToUser } from '../lib/event-bus.js';
+
+// FCM accepts at most 500 tokens per multicast
+const MAX_TOKENS_PER_SEND = 500;
+
+let transportPromise = null;
+
+/**
+ * Replace the push transport (tests use a fake sender instead of Firebase).
+ * A transport implements `send(tokens, { title, body, data })` and resolves to `{ invalidTokens }`.
+ */
+export function setPushTransport(transport) {
+    transportPromise = Promise.resolve(transport);
+}
+
+// Firebase is loaded lazily so the API still runs without credentials (push is just skipped)
+function getTransport() {
+    if (!transportPromise) {
+        transportPromise = import('./firebase.service.js')
+            .then(module => module.firebaseTransport)
+            .catch(error => {
+                console.warn('Push notifications disabled:', error.message);
+                return null;
+            });
+    }
+    return transportPromise;
+}
+
+// FCM data payload values must be strings
+function toPushData(notification) {
+    let extra = {};
+    try {
+        extra = notification.data ? JSON.parse(notification.data) : {};
+    } catch {
+        // Ignore malformed data, the notification itself is still delivered
+    }
+
+    const data = {
+        notificationId: notification.id,
+        type: notification.type,
+    };
+    for (const [key, value] of Object.entries(extra)) {
+        if (value !== null && value !== undefined) {
+            data[key] = typeof value === 'string' ? value : JSON.stringify(value);
+        }
+    }
+    return data;
+}
+
+/**
+ * Send push for stored notifications and prune tokens FCM reports as invalid
+ */
+export async function pushNotifications(notifications) {
+    const transport = await getTransport();
+    if (!transport || notifications.length === 0) {
+        return;
+    }
+
+    const userIds = [...new Set(notifications.map(notification => notification.userId))];
+    const devices = await prisma.deviceToken.findMany({
+        where: { userId: { in: userIds } },
+        select: { userId: true, token: true },
+    });
+
+    const tokensByUser = new Map();
+    for (const device of devices) {
+        if (!tokensByUser.has(device.userId)) {
+            tokensByUser.set(device.userId, []);
+        }
+        tokensByUser.get(device.userId).push(device.token);
+    }
+
+    const invalidTokens = [];
+    for (const notification of notifications) {
+        const tokens = tokensByUser.get(notification.userId) || [];
+
+        for (let i = 0; i < tokens.length; i += MAX_TOKENS_PER_SEND) {
+            try {
+                const result = await transport.send(tokens.slice(i, i + MAX_TOKENS_PER_SEND), {
+                    title: notification.title,
+                    body: notification.message,
+                    data: toPushData(notification),
+                });
+                invalidTokens.push(...(result?.invalidTokens || []));
+            } catch (error) {
+                console.error('Push delivery failed:', error);
+            }
+        }
+    }
+
+    if (invalidTokens.length > 0) {
+        await prisma.deviceToken.deleteMany({
+            where: { token: { in: invalidTokens } },
+        });
+    }
+}
+
+/**
+ * Send the current unread count to the user's open streams
+ */
+export async function publishUnreadCount(userId) {
+    const unreadCount = await prisma.notification.count({
+        where: { userId, isRead: false },
+    });
+    publishToUser(userId, 'unread-count', { unreadCount });
+}
+
+// Deliver live (SSE) and push in the background so a slow FCM never delays the API response
+function dispatch(notifications) {
+    for (const notification of notifications) {
+        publishToUser(notification.userId, 'notification', notification);
+    }
+
+    const userIds = [...new Set(notifications.map(notification => notification.userId))];
+    Promise.all(userIds.map(publishUnreadCount)).catch(error => {
+        console.error('Unread count publish failed:', error);
+    });
+
+    pushNotifications(notifications).catch(error => {
+        console.error('Push dispatch failed:', error);
+    });
+}
+
+/**
+ * Create a notification and deliver it as push
+ */
+export async function createNotification(data) {
+    const notification = await prisma.notification.create({ data });
+    dispatch([notification]);
+    return notification;
+}
+
+/**
+ * Create several notifications and deliver them as push
+ */
+export async function createNotifications(dataList) {
+    if (dataList.length === 0) {
+        return [];
+    }
+
+    const notifications = await prisma.$transaction(
+        dataList.map(data => prisma.notification.create({ data }))
+    );
+    dispatch(notifications);
+    return notifications;
+}
@@ -0,0 +1,48 @@
+import prisma from '../lib/prisma.js';
+import { createSignedUrl } from '../lib/signed-url.js';
+
+// Besides the owner, these roles may view private files
+const PRIVATE_FILE_ROLES = ['ADMIN', 'MODERATOR'];
+
+export const PRIVATE_FILES_PATH = '/api/files';
+
+/**
+ * Whether `user` ({ id, role }) may view `file`
+ */
+export function canAccessFile(file, user) {
+    return file.ownerId === user.id || PRIVATE_FILE_ROLES.includes(user.role);
+}
+
+/**
+ * Signed, expiring URL of a private file for `viewer`, or null if they may not see it
+ */
+export async function getPrivateFileUrl(fileId, viewer) {
+    if (!fileId) {
+        return null;
+    }
+
+    const file = await prisma.privateFile.findUnique({
+        where: { id: fileId },
+        select: { id: true, ownerId: true },
+    });
+
+    if (!file || !canAccessFile(file, viewer)) {
+        return null;
+    }
+
+    return createSignedUrl(`${PRIVATE_FILES_PATH}/${file.id}`, viewer.id);
+}
+
+/**
+ * Find a private file owned by `ownerId` from its id, or from the legacy
+ * "/uploads/documents/..." URL older app versions send
+ */
+export async function findOwnedFile(ref, ownerId) {
+    const where = ref.startsWith('/uploads/')
+        ? { key: ref.slice('/uploads/'.length) }
+        : { id: ref };
+
+    const file = await prisma.privateFile.findUnique({ where });
+
+    return file && file.ownerId === ownerId ? file : null;
+}
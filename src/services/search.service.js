@@ -0,0 +1,148 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../lib/prisma.js';
+
+// Score = relevance (0..1) weighted against how recent the report is
+const RELEVANCE_WEIGHT = 0.7;
+const RECENCY_WEIGHT = 0.3;
+const RECENCY_HALF_LIFE_DAYS = 7;
+
+// Most common values returned per facet
+const FACET_LIMIT = 10;
+
+// ts_headline marks matches with control characters; they become <mark> tags
+// only after the user-written text around them has been HTML-escaped
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+const TITLE_HEADLINE_OPTIONS = `StartSel="${MARK_START}", StopSel="${MARK_END}", HighlightAll=true`;
+const DESCRIPTION_HEADLINE_OPTIONS = `StartSel="${MARK_START}", StopSel="${MARK_END}", MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+function toHighlight(text) {
+    return text
+        .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+        .replaceAll(MARK_START, '<mark>')
+        .replaceAll(MARK_END, '</mark>');
+}
+
+// Supports quoted phrases, OR and -excluded words, like web search engines
+const tsQuery = (query) => Prisma.sql`websearch_to_tsquery('english', ${query})`;
+
+// Searched document; admins can also find reports by publisher name
+function documentOf(withPublisher) {
+    return withPublisher
+        ? Prisma.sql`(i."searchVector" || setweight(to_tsvector('english', coalesce(u."name", '')), 'D'))`
+        : Prisma.sql`i."searchVector"`;
+}
+
+function searchConditions({ query, statuses, category, city, from, to, primaryOnly, withPublisher }) {
+    const conditions = [
+        Prisma.sql`${documentOf(withPublisher)} @@ ${tsQuery(query)}`,
+        Prisma.sql`i."status" IN (${Prisma.join(statuses)})`,
+    ];
+
+    if (primaryOnly) {
+        conditions.push(Prisma.sql`i."isClusterPrimary" = true`);
+    }
+    if (category) {
+        conditions.push(Prisma.sql`i."category" = ${category}`);
+    }
+    if (city) {
+        conditions.push(Prisma.sql`lower(i."city") = lower(${city}::text)`);
+    }
+    if (from) {
+        conditions.push(Prisma.sql`i."incidentTime" >= ${from}`);
+    }
+    if (to) {
+        conditions.push(Prisma.sql`i."incidentTime" <= ${to}`);
+    }
+
+    return Prisma.join(conditions, ' AND ');
+}
+
+// Number of matches per value of a column
+async function countFacet(column, where) {
+    return prisma.$queryRaw`
+        SELECT ${column} AS "value", count(*)::int AS "count"
+        FROM "incidents" i
+        JOIN "users" u ON u."id" = i."publisherId"
+        WHERE ${where} AND ${column} IS NOT NULL
+        GROUP BY 1
+        ORDER BY 2 DESC, 1
+        LIMIT ${FACET_LIMIT}
+    `;
+}
+
+/**
+ * Full-text search of incidents with PostgreSQL, ranked by relevance and recency.
+ *
+ * Filters: `statuses` (required), `category`, `city` (exact, case-insensitive) and an
+ * `from`/`to` range on the incident time. `primaryOnly` hides duplicate reports
+ * folded into a cluster; `withPublisher` also matches the publisher's name (admin search).
+ *
+ * Returns the ranked page of `{ id, score, highlights: { title, description } }`,
+ * the total match count and per-facet counts over all matches.
+ */
+export async function searchIncidents(filters, { skip = 0, take = 20 } = {}) {
+    const where = searchConditions(filters);
+    const document = documentOf(filters.withPublisher);
+
+    const [matches, [{ total }], category, city, status] = await Promise.all([
+        prisma.$queryRaw`
+            SELECT m."id", m."score",
+                ts_headline('english', coalesce(m."title", ''), q, ${TITLE_HEADLINE_OPTIONS}) AS "title",
+                ts_headline('english', coalesce(m."description", ''), q, ${DESCRIPTION_HEADLINE_OPTIONS}) AS "description"
+            FROM (
+                SELECT i."id", i."title", i."description", i."createdAt",
+                    (
+                        ${Prisma.raw(String(RELEVANCE_WEIGHT))} * ts_rank_cd(${document}, ${tsQuery(filters.query)}, 32)
+                        + ${Prisma.raw(String(RECENCY_WEIGHT))} * power(0.5, extract(epoch from now() - i."createdAt") / 86400 / ${Prisma.raw(String(RECENCY_HALF_LIFE_DAYS))})
+                    )::float8 AS "score"
+                FROM "incidents" i
+                JOIN "users" u ON u."id" = i."publisherId"
+                WHERE ${where}
+                ORDER BY "score" DESC, i."createdAt" DESC, i."id" DESC
+                LIMIT ${take} OFFSET ${skip}
+            ) m
+            CROSS JOIN ${tsQuery(filters.query)} AS q
+            ORDER BY m."score" DESC, m."createdAt" DESC, m."id" DESC
+        `,
+        prisma.$queryRaw`
+            SELECT count(*)::int AS "total"
+            FROM "incidents" i
+            JOIN "users" u ON u."id" = i."publisherId"
+            WHERE ${where}
+        `,
+        countFacet(Prisma.sql`i."category"`, where),
+        countFacet(Prisma.sql`i."city"`, where),
+        countFacet(Prisma.sql`i."status"`, where),
+    ]);
+
+    return {
+        results: matches.map(match => ({
+            id: match.id,
+            score: Math.round(match.score * 1000) / 1000,
+            highlights: {
+                title: toHighlight(match.title),
+                description: toHighlight(match.description),
+            },
+        })),
+        total,
+        facets: { category, city, status },
+    };
+}
+
+/**
+ * Rows fetched by id, in the order of the search results, with their score and highlights
+ */
+export function inSearchOrder(results, rows) {
+    const rowsById = new Map(rows.map(row => [row.id, row]));
+
+    return results
+        .filter(result => rowsById.has(result.id))
+        .map(result => ({
+            ...rowsById.get(result.id),
+            searchScore: result.score,
+            highlights: result.highlights,
+        }));
+}
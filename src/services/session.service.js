@@ -0,0 +1,176 @@
+import { randomUUID } from 'crypto';
+import prisma from '../lib/prisma.js';
+import { generateToken, generateRefreshToken, verifyToken } from '../lib/jwt.js';
+import { AppError } from '../middleware/error.middleware.js';
+
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Device metadata recorded on every session
+ */
+function getDeviceInfo(req) {
+    return {
+        deviceName: req.body?.deviceName || req.get('x-device-name') || null,
+        userAgent: req.get('user-agent') || null,
+        ipAddress: req.ip || null,
+    };
+}
+
+/**
+ * Persist a refresh token in the given family
+ */
+async function issueRefreshToken(userId, familyId, deviceInfo, tx = prisma) {
+    const refreshToken = generateRefreshToken(userId);
+
+    await tx.refreshToken.create({
+        data: {
+            token: refreshToken,
+            userId,
+            familyId,
+            ...deviceInfo,
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+        },
+    });
+
+    return refreshToken;
+}
+
+/**
+ * Start a new session (token family) and return its access and refresh tokens
+ */
+export async function createSession(user, req, claims = {}) {
+    const familyId = randomUUID();
+
+    // Drop this user's expired tokens while we are here
+    await prisma.refreshToken.deleteMany({
+        where: { userId: user.id, expiresAt: { lt: new Date() } },
+    });
+
+    const refreshToken = await issueRefreshToken(user.id, familyId, getDeviceInfo(req));
+    const accessToken = generateToken({
+        userId: user.id,
+        role: user.role,
+        ...claims,
+        sid: familyId,
+    });
+
+    return { accessToken, refreshToken };
+}
+
+/**
+ * Rotate a refresh token. Presenting an already rotated token means it was
+ * copied, so the whole family is revoked.
+ */
+export async function rotateSession(refreshToken, req) {
+    try {
+        verifyToken(refreshToken);
+    } catch {
+        throw new AppError('Invalid refresh token', 401);
+    }
+
+    const storedToken = await prisma.refreshToken.findUnique({
+        where: { token: refreshToken },
+        include: { user: true },
+    });
+
+    if (!storedToken) {
+        throw new AppError('Invalid refresh token', 401);
+    }
+
+    if (storedToken.revokedAt) {
+        await revokeFamily(storedToken.familyId);
+        throw new AppError('Refresh token reuse detected. Please login again.', 401);
+    }
+
+    if (storedToken.expiresAt < new Date()) {
+        await revokeFamily(storedToken.familyId);
+        throw new AppError('Refresh token expired', 401);
+    }
+
+    if (!storedToken.user.isActive) {
+        throw new AppError('Account is deactivated', 403);
+    }
+
+    const newRefreshToken = await prisma.$transaction(async (tx) => {
+        // Claim the token atomically so two concurrent refreshes cannot both succeed
+        const claimed = await tx.refreshToken.updateMany({
+            where: { id: storedToken.id, revokedAt: null },
+            data: { revokedAt: new Date() },
+        });
+
+        if (claimed.count === 0) {
+            return null;
+        }
+
+        return issueRefreshToken(storedToken.userId, storedToken.familyId, getDeviceInfo(req), tx);
+    });
+
+    if (!newRefreshToken) {
+        await revokeFamily(storedToken.familyId);
+        throw new AppError('Refresh token reuse detected. Please login again.', 401);
+    }
+
+    const { user } = storedToken;
+    const accessToken = generateToken({
+        userId: user.id,
+        ...(user.phone && { phone: user.phone }),
+        ...(user.email && { email: user.email }),
+        role: user.role,
+        sid: storedToken.familyId,
+    });
+
+    return { accessToken, refreshToken: newRefreshToken };
+}
+
+/**
+ * Revoke every token of a session
+ */
+export async function revokeFamily(familyId) {
+    await prisma.refreshToken.updateMany({
+        where: { familyId, revokedAt: null },
+        data: { revokedAt: new Date() },
+    });
+}
+
+/**
+ * Active sessions of a user (one per token family)
+ */
+export async function listSessions(userId) {
+    const tokens = await prisma.refreshToken.findMany({
+        where: {
+            userId,
+            revokedAt: null,
+            expiresAt: { gt: new Date() },
+        },
+        orderBy: { createdAt: 'desc' },
+        select: {
+            familyId: true,
+            deviceName: true,
+            userAgent: true,
+            ipAddress: true,
+            createdAt: true,
+            expiresAt: true,
+        },
+    });
+
+    return tokens.map(({ familyId, createdAt, ...rest }) => ({
+        id: familyId,
+        ...rest,
+        lastActiveAt: createdAt,
+    }));
+}
+
+/**
+ * Whether the session an access token belongs to is still alive
+ */
+export async function isSessionActive(familyId) {
+    const count = await prisma.refreshToken.count({
+        where: {
+            familyId,
+            revokedAt: null,
+            expiresAt: { gt: new Date() },
+        },
+    });
+
+    return count > 0;
+}
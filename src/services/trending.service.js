@@ -0,0 +1,90 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../lib/prisma.js';
+import { config } from '../config/index.js';
+
+// Engagement points per interaction
+const VIEW_WEIGHT = 1;
+const SHARE_WEIGHT = 5;
+const CORROBORATION_WEIGHT = 10;
+
+// How strongly scores fall with age: points / (age in hours + 2) ^ GRAVITY
+const GRAVITY = 1.5;
+
+// Incidents older than this no longer trend (score 0)
+const TRENDING_WINDOW_DAYS = 7;
+
+// Multiplier by category, so major incidents outrank minor civic complaints
+const CATEGORY_SEVERITY = {
+    FIRE: 3,
+    NATURAL_DISASTER: 3,
+    HEALTH_EMERGENCY: 3,
+    ACCIDENT: 2.5,
+    CRIME: 2.5,
+    PROTEST: 2,
+    TRAFFIC: 1.5,
+    INFRASTRUCTURE: 1.2,
+    CIVIC_ISSUE: 1,
+    OTHER: 1,
+};
+
+const severity = Prisma.sql`CASE i."category" ${Prisma.join(
+    Object.entries(CATEGORY_SEVERITY).map(([category, weight]) => Prisma.sql`WHEN ${category} THEN ${Prisma.raw(String(weight))}`),
+    ' '
+)} ELSE 1 END`;
+
+/**
+ * Recompute `trendingScore` of verified incidents from the last TRENDING_WINDOW_DAYS:
+ * views, shares and corroborations (including other verified reports of the same event),
+ * scaled by category severity and the publisher's credibility (0.5x-1.5x), decayed by age.
+ *
+ * One UPDATE in the database. It does not touch `updatedAt`, so a new score does not
+ * show the incident as changed to delta sync.
+ */
+export async function recomputeTrendingScores() {
+    const window = Prisma.raw(`interval '${TRENDING_WINDOW_DAYS} days'`);
+
+    return prisma.$executeRaw`
+        UPDATE "incidents" i
+        SET "trendingScore" = CASE
+            WHEN i."status" = 'VERIFIED' AND i."createdAt" > now() - ${window} THEN (
+                (
+                    1
+                    + i."viewCount" * ${Prisma.raw(String(VIEW_WEIGHT))}
+                    + i."shareCount" * ${Prisma.raw(String(SHARE_WEIGHT))}
+                    + (i."corroborationCount" + greatest((
+                        SELECT count(*) - 1 FROM "incidents" d
+                        WHERE d."clusterId" = i."clusterId" AND d."status" = 'VERIFIED'
+                    ), 0)) * ${Prisma.raw(String(CORROBORATION_WEIGHT))}
+                )
+                * ${severity}
+                * (0.5 + least(greatest(u."credibilityScore", 0), 100) / 100.0)
+                / power(extract(epoch from now() - i."createdAt") / 3600 + 2, ${Prisma.raw(String(GRAVITY))})
+            )::float8
+            ELSE 0
+        END
+        FROM "users" u
+        WHERE u."id" = i."publisherId"
+            AND (
+                i."trendingScore" <> 0
+                OR (i."status" = 'VERIFIED' AND i."createdAt" > now() - ${window})
+            )
+    `;
+}
+
+/**
+ * Recompute trending scores now and every `config.trendingIntervalMinutes`
+ */
+export function startTrendingUpdater() {
+    if (!config.trendingIntervalMinutes) {
+        return;
+    }
+
+    const run = () => {
+        recomputeTrendingScores().catch(error => {
+            console.error('Trending score update failed:', error);
+        });
+    };
+
+    run();
+    setInterval(run, config.trendingIntervalMinutes * 60 * 1000);
+}
@@ -0,0 +1,217 @@
+import { Readable } from 'stream';
+import { v4 as uuidv4 } from 'uuid';
+import prisma from '../lib/prisma.js';
+import { storage, INCOMING_PREFIX, UPLOAD_PARTS_PREFIX } from '../lib/storage/index.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { enqueueMediaProcessing } from './media-processing.service.js';
+import { detectFileType, MEDIA_TYPES } from '../utils/file-type.utils.js';
+
+// A session expires when no chunk has arrived for this long
+const UPLOAD_SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+function sessionExpiry() {
+    return new Date(Date.now() + UPLOAD_SESSION_TTL);
+}
+
+function chunkPrefix(sessionId) {
+    return `${UPLOAD_PARTS_PREFIX}${sessionId}/`;
+}
+
+// Delete every stored chunk of a session, including ones from interrupted requests.
+// Failures are logged; expired sessions are retried by the sweeper.
+async function deleteChunks(sessionId) {
+    try {
+        const keys = [];
+        for await (const object of storage.list(chunkPrefix(sessionId))) {
+            keys.push(object.key);
+        }
+        for (const key of keys) {
+            await storage.delete(key);
+        }
+    } catch (error) {
+        console.error(`Failed to delete chunks of upload session ${sessionId}:`, error);
+    }
+}
+
+async function* readChunks(keys) {
+    for (const key of keys) {
+        yield* await storage.get(key);
+    }
+}
+
+// Enough of the start of a file to detect its type
+const FILE_TYPE_HEADER_SIZE = 4100;
+
+async function readHead(keys) {
+    const parts = [];
+    let length = 0;
+
+    for await (const data of readChunks(keys)) {
+        parts.push(data);
+        length += data.length;
+        if (length >= FILE_TYPE_HEADER_SIZE) {
+            break;
+        }
+    }
+
+    return Buffer.concat(parts).subarray(0, FILE_TYPE_HEADER_SIZE);
+}
+
+/**
+ * Progress of a session as returned to the client
+ */
+export function sessionProgress(session) {
+    return {
+        id: session.id,
+        size: session.size,
+        offset: session.offset,
+        complete: session.offset === session.size,
+        expiresAt: session.expiresAt,
+    };
+}
+
+/**
+ * Start a resumable upload. The file type and size must already be checked.
+ */
+export async function createUploadSession(userId, { fileName, mimeType, size }) {
+    return prisma.uploadSession.create({
+        data: {
+            userId,
+            fileName,
+            mimeType,
+            size,
+            expiresAt: sessionExpiry(),
+        },
+    });
+}
+
+/**
+ * An unexpired session of `userId`; 404 otherwise
+ */
+export async function getUploadSession(id, userId) {
+    const session = await prisma.uploadSession.findFirst({
+        where: { id, userId, expiresAt: { gt: new Date() } },
+    });
+
+    if (!session) {
+        throw new AppError('Upload session not found or expired', 404);
+    }
+
+    return session;
+}
+
+/**
+ * Store a chunk at `offset`. Chunks must arrive in order: an offset other than
+ * the bytes received so far fails with 409 and the current offset, so the
+ * client can resume from there.
+ */
+export async function appendChunk(session, offset, chunk) {
+    if (offset !== session.offset) {
+        throw new AppError('Chunk offset does not match the bytes received so far', 409, { offset: session.offset });
+    }
+
+    if (chunk.length === 0) {
+        throw new AppError('Chunk is empty', 400);
+    }
+
+    if (offset + chunk.length > session.size) {
+        throw new AppError('Chunk goes past the declared file size', 400, { offset: session.offset, size: session.size });
+    }
+
+    const key = `${chunkPrefix(session.id)}${offset}-${uuidv4()}`;
+    await storage.put(key, chunk, { contentType: 'application/octet-stream', contentLength: chunk.length });
+
+    // Only one of two concurrent requests for the same offset is kept
+    const { count } = await prisma.uploadSession.updateMany({
+        where: { id: session.id, offset },
+        data: {
+            offset: { increment: chunk.length },
+            chunks: { push: key },
+            expiresAt: sessionExpiry(),
+        },
+    });
+
+    if (count === 0) {
+        await storage.delete(key).catch(error => {
+            console.error(`Failed to delete upload chunk ${key}:`, error);
+        });
+        const current = await prisma.uploadSession.findUnique({ where: { id: session.id } });
+        throw new AppError('Chunk offset does not match the bytes received so far', 409, { offset: current?.offset ?? null });
+    }
+
+    return { ...session, offset: offset + chunk.length, chunks: [...session.chunks, key] };
+}
+
+/**
+ * Assemble a fully received session into an IncidentMedia upload and queue it
+ * for processing, like a file sent to POST /api/upload/media.
+ */
+export async function completeUploadSession(session) {
+    if (session.offset !== session.size) {
+        throw new AppError('Upload is not complete', 409, { offset: session.offset, size: session.size });
+    }
+
+    // Same content check as single-request uploads; a rejected file is discarded
+    const type = await detectFileType(await readHead(session.chunks), session.mimeType, MEDIA_TYPES);
+    if (type.error) {
+        await cancelUploadSession(session);
+        throw new AppError(`${session.fileName}: ${type.error}`, 400);
+    }
+
+    // Named after the session, so a repeated request overwrites the same file
+    const key = `${INCOMING_PREFIX}media-${session.id}.${type.ext}`;
+    await storage.put(key, Readable.from(readChunks(session.chunks)), {
+        contentType: type.mimeType,
+        contentLength: session.size,
+    });
+
+    let media;
+    try {
+        [media] = await prisma.$transaction([
+            prisma.incidentMedia.create({
+                data: {
+                    uploaderId: session.userId,
+                    type: type.mimeType.startsWith('video/') ? 'VIDEO' : 'IMAGE',
+                    url: key, // Storage key, resolved to a URL by the active driver
+                    size: session.size,
+                    mimeType: type.mimeType,
+                },
+            }),
+            prisma.uploadSession.delete({ where: { id: session.id } }),
+        ]);
+    } catch (error) {
+        if (error.code === 'P2025') {
+            throw new AppError('Upload session was already completed', 409);
+        }
+        throw error;
+    }
+
+    enqueueMediaProcessing([media.id]);
+    await deleteChunks(session.id);
+
+    return media;
+}
+
+/**
+ * Abandon a session and its stored chunks
+ */
+export async function cancelUploadSession(session) {
+    await prisma.uploadSession.deleteMany({ where: { id: session.id } });
+    await deleteChunks(session.id);
+}
+
+/**
+ * Remove expired sessions and their chunks. Returns how many were removed.
+ */
+export async function cleanupExpiredUploadSessions() {
+    const expired = await prisma.uploadSession.findMany({
+        where: { expiresAt: { lte: new Date() } },
+        select: { id: true },
+    });
+
+    for (const session of expired) {
+        await cancelUploadSession(session);
+    }
+
+    return expired.length;
+}
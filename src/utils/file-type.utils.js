@@ -0,0 +1,60 @@
+import { fileTypeFromBuffer, fileTypeFromFile } from 'file-type';
+
+// Formats accepted for uploads, detected from the file content (magic bytes).
+// The extension is the one files of that type are stored with.
+export const IMAGE_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+};
+
+export const VIDEO_TYPES = {
+    'video/mp4': 'mp4',
+    'video/quicktime': 'mov',
+    'video/webm': 'webm',
+    'video/3gpp': '3gp',
+};
+
+export const MEDIA_TYPES = {
+    ...IMAGE_TYPES,
+    ...VIDEO_TYPES,
+};
+
+export const DOCUMENT_TYPES = {
+    ...IMAGE_TYPES,
+    'application/pdf': 'pdf',
+};
+
+// Non-standard names some clients declare
+const MIME_ALIASES = {
+    'image/jpg': 'image/jpeg',
+    'image/pjpeg': 'image/jpeg',
+    'video/x-quicktime': 'video/quicktime',
+};
+
+function normalizeMimeType(mimeType) {
+    const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+    return MIME_ALIASES[type] || type;
+}
+
+/**
+ * Check content against `allowed` (mime type -> extension) and the type the client declared.
+ * `input` is a file path or a buffer holding at least the start of the file.
+ * Returns { mimeType, ext } of the detected type, or { error } when it is rejected.
+ */
+export async function detectFileType(input, declaredType, allowed) {
+    const detected = Buffer.isBuffer(input)
+        ? await fileTypeFromBuffer(input)
+        : await fileTypeFromFile(input);
+
+    if (!detected || !allowed[detected.mime]) {
+        return { error: 'File type is not supported' };
+    }
+
+    if (normalizeMimeType(declaredType) !== detected.mime) {
+        return { error: `File content (${detected.mime}) does not match its declared type (${declaredType})` };
+    }
+
+    return { mimeType: detected.mime, ext: allowed[detected.mime] };
+}
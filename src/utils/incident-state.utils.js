@@ -0,0 +1,70 @@
+import { AppError } from '../middleware/error.middleware.js';
+
+export const INCIDENT_STATUSES = ['DRAFT', 'SUBMITTED', 'UNDER_REVIEW', 'VERIFIED', 'REJECTED', 'TAKEN_DOWN'];
+
+// PUBLISHER is not a user role: it matches the user who published the incident
+const MODERATORS = ['ADMIN', 'MODERATOR'];
+
+// Allowed transitions: from status -> to status -> roles that may make the move
+export const INCIDENT_TRANSITIONS = {
+    DRAFT: {
+        SUBMITTED: ['PUBLISHER'],
+    },
+    SUBMITTED: {
+        UNDER_REVIEW: MODERATORS,
+        VERIFIED: MODERATORS,
+        REJECTED: MODERATORS,
+    },
+    UNDER_REVIEW: {
+        VERIFIED: MODERATORS,
+        REJECTED: MODERATORS,
+    },
+    VERIFIED: {
+        TAKEN_DOWN: MODERATORS,
+    },
+    REJECTED: {
+        SUBMITTED: ['PUBLISHER'], // Edited and re-submitted
+        VERIFIED: ['ADMIN'], // Rejection overturned
+    },
+    TAKEN_DOWN: {
+        VERIFIED: ['ADMIN'], // Reinstated
+    },
+};
+
+// Roles the actor holds with respect to this incident
+function actorRoles(incident, actor) {
+    return actor.id === incident.publisherId ? [actor.role, 'PUBLISHER'] : [actor.role];
+}
+
+/**
+ * Whether `actor` may move `incident` to `toStatus`
+ */
+export function canTransition(incident, toStatus, actor) {
+    const allowedRoles = INCIDENT_TRANSITIONS[incident.status]?.[toStatus] || [];
+    return actorRoles(incident, actor).some(role => allowedRoles.includes(role));
+}
+
+/**
+ * Statuses `actor` may move `incident` to from its current status
+ */
+export function allowedTransitions(incident, actor) {
+    return Object.keys(INCIDENT_TRANSITIONS[incident.status] || {})
+        .filter(toStatus => canTransition(incident, toStatus, actor));
+}
+
+/**
+ * Guard used by every status change; illegal moves fail with 409
+ */
+export function assertTransition(incident, toStatus, actor) {
+    if (!canTransition(incident, toStatus, actor)) {
+        throw new AppError(
+            `Cannot change incident status from ${incident.status} to ${toStatus}`,
+            409,
+            {
+                fromStatus: incident.status,
+                toStatus,
+                allowed: allowedTransitions(incident, actor),
+            }
+        );
+    }
+}
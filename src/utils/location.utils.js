@@ -1,3 +1,5 @@
+import { createNotifications } from '../services/notification.service.js';
+
 // Helper function to calculate distance between two coordinates (Haversine formula)
 export function calculateDistance(lat1, lon1, lat2, lon2) {
     const R = 6371; // Earth's radius in kilometers
@@ -18,6 +20,25 @@ function toRad(degrees) {
     return degrees * (Math.PI / 180);
 }
 
+// Bounding box around a point, used as a cheap indexed prefilter before Haversine refinement
+export function getBoundingBox(latitude, longitude, radiusKm) {
+    const KM_PER_DEGREE = (6371 * Math.PI) / 180; // Same Earth radius as calculateDistance
+    const latDelta = radiusKm / KM_PER_DEGREE;
+    const minLat = Math.max(latitude - latDelta, -90);
+    const maxLat = Math.min(latitude + latDelta, 90);
+
+    // Longitude degrees shrink towards the poles, so size the box at its poleward edge
+    const polewardLat = Math.max(Math.abs(minLat), Math.abs(maxLat));
+    const lngDelta = radiusKm / (KM_PER_DEGREE * Math.max(Math.cos(toRad(polewardLat)), 0.01));
+
+    return {
+        minLat,
+        maxLat,
+        minLng: Math.max(longitude - lngDelta, -180),
+        maxLng: Math.min(longitude + lngDelta, 180),
+    };
+}
+
 // Find nearest police station to incident location
 export async function findNearestPoliceStation(latitude, longitude, prisma) {
     const allStations = await prisma.policeStation.findMany({
@@ -82,7 +103,5 @@ export async function notifyPoliceStation(policeStationId, incident, prisma) {
         }),
     }));
 
-    await prisma.notification.createMany({
-        data: notifications,
-    });
+    await createNotifications(notifications);
 }
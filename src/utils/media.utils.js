@@ -0,0 +1,154 @@
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import exifr from 'exifr';
+import { config } from '../config/index.js';
+import { calculateDistance } from './location.utils.js';
+
+const execFileAsync = promisify(execFile);
+
+const FFMPEG_TIMEOUT = 60 * 1000;
+
+// How far media metadata may be from the reported incident before moderators are warned
+const MEDIA_MAX_DISTANCE_KM = 1;
+const MEDIA_MAX_TIME_GAP = 6 * 60 * 60 * 1000; // 6 hours
+
+/**
+ * Capture time and GPS position from an image's EXIF data (fields are null when missing)
+ */
+export async function readImageMetadata(filePath) {
+    const [exif, gps] = await Promise.all([
+        exifr.parse(filePath, { pick: ['DateTimeOriginal', 'CreateDate'] }).catch(() => null),
+        exifr.gps(filePath).catch(() => null),
+    ]);
+
+    return {
+        capturedAt: validDate(exif?.DateTimeOriginal || exif?.CreateDate),
+        latitude: Number.isFinite(gps?.latitude) ? gps.latitude : null,
+        longitude: Number.isFinite(gps?.longitude) ? gps.longitude : null,
+    };
+}
+
+/**
+ * Duration, capture time and GPS position of a video, read with ffprobe
+ */
+export async function probeVideo(filePath) {
+    const { stdout } = await execFileAsync(config.ffprobePath, [
+        '-v', 'error',
+        '-show_entries', 'format=duration:format_tags=creation_time,location,com.apple.quicktime.location.ISO6709',
+        '-of', 'json',
+        filePath,
+    ], { timeout: FFMPEG_TIMEOUT });
+
+    const format = JSON.parse(stdout).format || {};
+    const tags = format.tags || {};
+    const location = parseISO6709(tags.location || tags['com.apple.quicktime.location.ISO6709']);
+
+    return {
+        duration: format.duration ? Math.round(parseFloat(format.duration)) : null,
+        capturedAt: validDate(tags.creation_time),
+        latitude: location?.latitude ?? null,
+        longitude: location?.longitude ?? null,
+    };
+}
+
+/**
+ * Save a scaled poster frame of a video as JPEG
+ */
+export async function extractPosterFrame(filePath, outputPath, size) {
+    await execFileAsync(config.ffmpegPath, [
+        '-v', 'error',
+        '-y',
+        '-ss', '1',
+        '-i', filePath,
+        '-frames:v', '1',
+        '-vf', `scale=${size}:${size}:force_original_aspect_ratio=decrease`,
+        outputPath,
+    ], { timeout: FFMPEG_TIMEOUT });
+}
+
+/**
+ * Remove container metadata (location, device, creation time) from a video in place
+ */
+export async function stripVideoMetadata(filePath) {
+    const { dir, name, ext } = path.parse(filePath);
+    const tempPath = path.join(dir, `${name}.stripped${ext}`);
+
+    try {
+        await execFileAsync(config.ffmpegPath, [
+            '-v', 'error',
+            '-y',
+            '-i', filePath,
+            '-map', '0',
+            '-map_metadata', '-1',
+            '-c', 'copy',
+            tempPath,
+        ], { timeout: FFMPEG_TIMEOUT });
+
+        await fs.rename(tempPath, filePath);
+    } finally {
+        await fs.rm(tempPath, { force: true });
+    }
+}
+
+/**
+ * Compare the GPS position and capture time of an incident's media with the reported
+ * location and time. Returns one flag per mismatch for moderators.
+ */
+export function checkMediaConsistency(incident, media) {
+    const flags = [];
+
+    for (const item of media) {
+        if (item.latitude != null && item.longitude != null) {
+            const distance = calculateDistance(incident.latitude, incident.longitude, item.latitude, item.longitude);
+
+            if (distance > MEDIA_MAX_DISTANCE_KM) {
+                flags.push({
+                    mediaId: item.id,
+                    type: 'LOCATION_MISMATCH',
+                    message: `Media was captured ${distance.toFixed(2)} km from the reported location`,
+                    distance: Math.round(distance * 100) / 100,
+                });
+            }
+        }
+
+        if (item.capturedAt && incident.incidentTime) {
+            const gap = Math.abs(item.capturedAt - incident.incidentTime);
+
+            if (gap > MEDIA_MAX_TIME_GAP) {
+                const hours = Math.round(gap / (60 * 60 * 1000));
+                flags.push({
+                    mediaId: item.id,
+                    type: 'TIME_MISMATCH',
+                    message: `Media was captured ${hours} hours ${item.capturedAt < incident.incidentTime ? 'before' : 'after'} the reported time`,
+                    hours,
+                });
+            }
+        }
+    }
+
+    return flags;
+}
+
+// Phone videos store their location as ISO 6709, e.g. "+28.6139+077.2090/"
+function parseISO6709(value) {
+    const match = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)/.exec(value || '');
+    if (!match) {
+        return null;
+    }
+
+    const latitude = parseFloat(match[1]);
+    const longitude = parseFloat(match[2]);
+
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        return null;
+    }
+
+    return { latitude, longitude };
+}
+
+function validDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+}
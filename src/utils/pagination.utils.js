@@ -0,0 +1,108 @@
+import { AppError } from '../middleware/error.middleware.js';
+
+// Stable ordering for cursor pagination (createdAt alone is not unique)
+export const cursorOrderBy = [{ createdAt: 'desc' }, { id: 'desc' }];
+
+// Parse page/limit/cursor/updatedSince query params shared by list endpoints
+export function getPagination(query, defaultLimit = 20) {
+    const limit = parseInt(query.limit) || defaultLimit;
+    const page = parseInt(query.page) || 1;
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+
+    return {
+        page,
+        limit,
+        // Cursor takes precedence over page; offset is kept for older app versions
+        skip: cursor ? 0 : (page - 1) * limit,
+        cursor,
+        updatedSince: query.updatedSince ? new Date(query.updatedSince) : null,
+        syncedAt: new Date(),
+    };
+}
+
+// Opaque cursor token for a row, keyed on createdAt/id
+export function encodeCursor(row) {
+    return Buffer.from(JSON.stringify([row.createdAt.toISOString(), row.id])).toString('base64url');
+}
+
+export function decodeCursor(token) {
+    try {
+        const [createdAt, id] = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+        const date = new Date(createdAt);
+
+        if (typeof id !== 'string' || isNaN(date.getTime())) {
+            throw new Error('Malformed cursor');
+        }
+
+        return { createdAt: date, id };
+    } catch {
+        throw new AppError('Invalid cursor', 400);
+    }
+}
+
+// Only rows changed after `updatedSince` (delta sync). Models without updatedAt pass their own fields.
+export function withUpdatedSince(where, updatedSince, fields = ['updatedAt']) {
+    if (!updatedSince) {
+        return where;
+    }
+
+    return {
+        ...where,
+        AND: [
+            ...(where.AND || []),
+            { OR: fields.map(field => ({ [field]: { gt: updatedSince } })) },
+        ],
+    };
+}
+
+// Only rows after the cursor in cursorOrderBy order
+export function withCursor(where, cursor) {
+    if (!cursor) {
+        return where;
+    }
+
+    return {
+        ...where,
+        AND: [
+            ...(where.AND || []),
+            {
+                OR: [
+                    { createdAt: { lt: cursor.createdAt } },
+                    { createdAt: cursor.createdAt, id: { lt: cursor.id } },
+                ],
+            },
+        ],
+    };
+}
+
+// Trim the extra row fetched with `take: limit + 1` and build the pagination block
+export function buildPage(rows, total, { page, limit, syncedAt }) {
+    const hasMore = rows.length > limit;
+    const items = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        items,
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+            syncedAt,
+        },
+    };
+}
+
+// Pagination block for results ranked in the database that page by offset only
+export function offsetPagination(total, { page, limit, syncedAt }) {
+    return {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+        nextCursor: null,
+        syncedAt,
+    };
+}